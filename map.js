@@ -0,0 +1,232 @@
+var fs = require('fs');
+var path = require('path');
+
+// Where design3 looks for its data
+var defaultOut = path.join(__dirname, 'src', 'design3', 'directory_map.json');
+
+// Never worth mapping, whatever the ignore files say
+var alwaysSkip = ['.git'];
+
+// Leaf values that can be recorded for files (the default is null)
+var leafValues = {
+    size: function(stat) { return stat.size; },
+    ext: function(stat, name) { return path.extname(name).slice(1).toLowerCase(); },
+    mtime: function(stat) { return stat.mtime.toISOString(); },
+};
+
+// globSource converts a .gitignore glob (without its leading or trailing
+// slash) to RegExp source: * and ? stay within one name, ** crosses slashes
+function globSource(glob) {
+    var source = '';
+    for (var i = 0; i < glob.length; i++) {
+        var c = glob[i];
+        if (glob.slice(i, i + 3) === '**/') {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (glob.slice(i, i + 2) === '**') {
+            source += '.*';
+            i += 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i + 2) > 0) {
+            var end = glob.indexOf(']', i + 2);
+            var set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += '[' + (set[0] === '!' ? '^' + set.slice(1) : set) + ']';
+            i = end;
+        } else if (c === '\\' && i + 1 < glob.length) {
+            i += 1;
+            source += glob[i].replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        } else {
+            source += c.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+// parseRule reads one .gitignore line into {negate, dirOnly, re}, or null
+// for blanks and comments. Patterns with a slash before their end are
+// anchored to base; others match a name at any depth below it.
+function parseRule(line, base) {
+    line = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!line || line[0] === '#') {
+        return null;
+    }
+    var negate = line[0] === '!';
+    if (negate || line.slice(0, 2) === '\\!' || line.slice(0, 2) === '\\#') {
+        line = line.slice(1);
+    }
+    var dirOnly = /\/$/.test(line);
+    line = line.replace(/\/+$/, '');
+    if (!line) {
+        return null;
+    }
+    var anchored = line.indexOf('/') >= 0;
+    line = line.replace(/^\//, '');
+    return {
+        negate: negate,
+        dirOnly: dirOnly,
+        base: base,
+        re: new RegExp('^' + (anchored ? '' : '(?:.*/)?') + globSource(line) + '$'),
+    };
+}
+
+function parseRules(text, base) {
+    return text.split(/\r?\n/).map(function(line) {
+        return parseRule(line, base);
+    }).filter(Boolean);
+}
+
+// ignored applies rules in order to a path relative to the mapped root;
+// the last rule that matches decides, so later "!" lines can re-include
+function ignored(rules, rel, isDir) {
+    var result = false;
+    rules.forEach(function(rule) {
+        if (rule.dirOnly && !isDir) {
+            return;
+        }
+        if (rule.base && rel.slice(0, rule.base.length + 1) !== rule.base + '/') {
+            return;
+        }
+        var local = rule.base ? rel.slice(rule.base.length + 1) : rel;
+        if (rule.re.test(local)) {
+            result = !rule.negate;
+        }
+    });
+    return result;
+}
+
+// mapDirectory walks root into design3's nested format: directories are
+// objects of their entries and files are null, or the chosen leaf value.
+// Options:
+//   exclude   - .gitignore-style globs relative to root
+//   gitignore - read .gitignore files along the way (default true)
+//   leaf      - record "size", "ext" or "mtime" for each file
+//   maxDepth  - levels below root to list; deeper directories stay empty
+// Returns {map, files, dirs}.
+function mapDirectory(root, options) {
+    options = options || {};
+    if (options.leaf && !leafValues[options.leaf]) {
+        throw new Error('Unknown leaf value ' + options.leaf + ' (use ' + Object.keys(leafValues).join(', ') + ')');
+    }
+    var leaf = leafValues[options.leaf];
+    var maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    var useGitignore = options.gitignore !== false;
+    var counts = {files: 0, dirs: 0};
+
+    function walk(dir, rel, depth, rules) {
+        var out = {};
+        if (useGitignore) {
+            var ignoreFile = path.join(dir, '.gitignore');
+            if (fs.existsSync(ignoreFile)) {
+                rules = rules.concat(parseRules(fs.readFileSync(ignoreFile, 'utf8'), rel));
+            }
+        }
+
+        var entries;
+        try {
+            entries = fs.readdirSync(dir, {withFileTypes: true});
+        } catch (err) {
+            console.warn('Skipping ' + dir + ': ' + err.code);
+            return out;
+        }
+        entries.sort(function(a, b) {
+            return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        });
+
+        entries.forEach(function(entry) {
+            var name = entry.name;
+            var childRel = rel ? rel + '/' + name : name;
+            var isDir = entry.isDirectory();
+            if (alwaysSkip.indexOf(name) >= 0 || ignored(rules, childRel, isDir)) {
+                return;
+            }
+            var full = path.join(dir, name);
+            if (isDir) {
+                counts.dirs += 1;
+                out[name] = depth < maxDepth ? walk(full, childRel, depth + 1, rules) : {};
+            } else {
+                // Symlinks are listed as files, not followed
+                counts.files += 1;
+                out[name] = leaf ? leaf(fs.lstatSync(full), name) : null;
+            }
+        });
+        return out;
+    }
+
+    var rules = parseRules((options.exclude || []).join('\n'), '');
+    return {map: walk(root, '', 1, rules), files: counts.files, dirs: counts.dirs};
+}
+
+module.exports = {
+    mapDirectory: mapDirectory,
+};
+
+// Command line: node map.js <dir> [options], see usage
+if (require.main === module) {
+    var usage = [
+        'Usage: node map.js <dir> [options]',
+        '  --out <file>        where to write (default src/design3/directory_map.json, - for stdout)',
+        '  --exclude <glob>    skip matching paths, .gitignore syntax (repeatable)',
+        '  --no-gitignore      ignore .gitignore files',
+        '  --leaf <value>      record size, ext or mtime for files instead of null',
+        '  --max-depth <n>     list n levels below <dir>',
+    ].join('\n');
+
+    var args = process.argv.slice(2);
+    var options = {exclude: []};
+    var root = null;
+    var out = defaultOut;
+    try {
+        for (var i = 0; i < args.length; i++) {
+            var arg = args[i];
+            var needsValue = ['--out', '--exclude', '--leaf', '--max-depth'].indexOf(arg) >= 0;
+            if (needsValue && i + 1 >= args.length) {
+                throw new Error(arg + ' needs a value');
+            }
+            if (arg === '--out') {
+                out = args[++i];
+            } else if (arg === '--exclude') {
+                options.exclude.push(args[++i]);
+            } else if (arg === '--no-gitignore') {
+                options.gitignore = false;
+            } else if (arg === '--leaf') {
+                options.leaf = args[++i];
+            } else if (arg === '--max-depth') {
+                options.maxDepth = Number(args[++i]);
+                if (!(options.maxDepth >= 1) || options.maxDepth % 1) {
+                    throw new Error('--max-depth must be a whole number of at least 1');
+                }
+            } else if (arg === '--help' || arg === '-h') {
+                console.log(usage);
+                process.exit(0);
+            } else if (arg[0] === '-' && arg !== '-') {
+                throw new Error('Unknown option ' + arg);
+            } else if (root === null) {
+                root = arg;
+            } else {
+                throw new Error('Unexpected argument ' + arg);
+            }
+        }
+        if (root === null) {
+            throw new Error('Missing <dir>');
+        }
+        if (!fs.statSync(root).isDirectory()) {
+            throw new Error(root + ' is not a directory');
+        }
+
+        var result = mapDirectory(root, options);
+        var json = JSON.stringify(result.map);
+        if (out === '-') {
+            process.stdout.write(json + '\n');
+        } else {
+            fs.writeFileSync(out, json);
+            console.log('Wrote ' + result.dirs + ' directories and ' + result.files + ' files to ' + out);
+        }
+    } catch (err) {
+        console.error(err.message);
+        console.error(usage);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,340 @@
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var PImage = require('pureimage');
+
+var srcDir = path.join(__dirname, 'src');
+
+// Scripts a design needs, in the order index.html loads them
+var coreScripts = ['main.js', 'camera.js', 'spatialIndex.js'];
+
+// Largest image side the endpoint will render
+var maxSize = 8000;
+
+// Time allowed for a design to finish loading its data
+var settleTimeout = 60000;
+
+// nullContext stands in for the on-screen canvases, which nobody looks at
+function nullContext(canvas) {
+    var gradient = {addColorStop: function() {}};
+    var create = function() {
+        return gradient;
+    };
+    return new Proxy({canvas: canvas, createLinearGradient: create, createRadialGradient: create}, {
+        get: function(target, key) {
+            if (key in target) {
+                return target[key];
+            }
+            return function() {};
+        },
+    });
+}
+
+function nullCanvas() {
+    var canvas = {width: 300, height: 150};
+    Object.defineProperty(canvas, 'clientWidth', {get: function() { return canvas.width; }});
+    Object.defineProperty(canvas, 'clientHeight', {get: function() { return canvas.height; }});
+    canvas.getContext = function() {
+        return nullContext(canvas);
+    };
+    return canvas;
+}
+
+// lerpStops interpolates a gradient's packed RGBA stops at t
+function lerpStops(stops, t) {
+    if (!stops.length) {
+        return 0;
+    }
+    var sorted = stops.slice().sort(function(a, b) { return a.t - b.t; });
+    if (t <= sorted[0].t) {
+        return sorted[0].color;
+    }
+    for (var i = 1; i < sorted.length; i++) {
+        var a = sorted[i - 1];
+        var b = sorted[i];
+        if (t <= b.t) {
+            var k = b.t === a.t ? 1 : (t - a.t) / (b.t - a.t);
+            var out = 0;
+            for (var shift = 24; shift >= 0; shift -= 8) {
+                var ca = (a.color >>> shift) & 0xff;
+                var cb = (b.color >>> shift) & 0xff;
+                out = out * 256 + Math.round(ca + (cb - ca) * k);
+            }
+            return out >>> 0;
+        }
+    }
+    return sorted[sorted.length - 1].color;
+}
+
+// patchGradients replaces pureimage's radial gradient, which ignores both
+// radii and the transform, with the two-circle gradient from the canvas spec
+// evaluated in device pixels
+function patchGradients(ctx) {
+    var create = ctx.createRadialGradient;
+    ctx.createRadialGradient = function(x0, y0, r0, x1, y1, r1) {
+        // pureimage keeps the current matrix privately as [a, b, c, d, e, f]
+        var m = ctx._transform.matrix;
+        var s = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        var c0 = {x: m[0] * x0 + m[2] * y0 + m[4], y: m[1] * x0 + m[3] * y0 + m[5]};
+        var c1 = {x: m[0] * x1 + m[2] * y1 + m[4], y: m[1] * x1 + m[3] * y1 + m[5]};
+        var dr = (r1 - r0) * s;
+        r0 *= s;
+
+        var gradient = create.call(ctx, x0, y0);
+        gradient.colorAt = function(x, y) {
+            // Largest w with |p - c(w)| = r(w) and r(w) >= 0
+            var cdx = c1.x - c0.x;
+            var cdy = c1.y - c0.y;
+            var px = x - c0.x;
+            var py = y - c0.y;
+            var a = cdx * cdx + cdy * cdy - dr * dr;
+            var b = px * cdx + py * cdy + r0 * dr;
+            var c = px * px + py * py - r0 * r0;
+            var w;
+            if (Math.abs(a) < 1e-9) {
+                w = b === 0 ? 0 : c / (2 * b);
+            } else {
+                var disc = b * b - a * c;
+                if (disc < 0) {
+                    return 0;
+                }
+                var root = Math.sqrt(disc);
+                w = (b + root) / a;
+                if (r0 + w * dr < 0) {
+                    w = (b - root) / a;
+                }
+            }
+            return lerpStops(gradient.stops, Math.max(0, Math.min(1, w)));
+        };
+        return gradient;
+    };
+}
+
+// fakeQuery is the slice of jQuery the design scripts use. Ajax requests for
+// files under src/ are answered from disk.
+function fakeQuery() {
+    // Element methods (ready, on, append, ...) do nothing and chain
+    var chain = new Proxy({}, {
+        get: function() {
+            return function() { return chain; };
+        },
+    });
+    var $ = function() {
+        return chain;
+    };
+    $.each = function(obj, fn) {
+        Object.keys(obj).forEach(function(key) {
+            fn(Array.isArray(obj) ? Number(key) : key, obj[key]);
+        });
+    };
+    $.ajax = function(options) {
+        var file = path.join(srcDir, path.normalize(options.url).replace(/^(\.\.[\/\\])+/, ''));
+        fs.readFile(file, 'utf8', function(err, text) {
+            if (err) {
+                options.error && options.error(null, 'error', err);
+            } else {
+                options.success && options.success(text);
+            }
+            options.complete && options.complete();
+        });
+        return {abort: function() {}};
+    };
+    return $;
+}
+
+// designExists tells whether src/<name>/index.js is a design folder
+function designExists(name) {
+    return /^[\w-]+$/.test(name) && fs.existsSync(path.join(srcDir, name, 'index.js'));
+}
+
+// designScripts lists a design folder's scripts: helpers first, in name
+// order, then index.js, which registers the design. Worker scripts
+// (*.worker.js) only run inside a Worker, which the sandbox does not have.
+function designScripts(name) {
+    var dir = path.join(srcDir, name);
+    return fs.readdirSync(dir).filter(function(file) {
+        return /\.js$/.test(file) && !/\.worker\.js$/.test(file) && file !== 'index.js';
+    }).sort().concat('index.js');
+}
+
+// Compiled scripts by path under src/, recompiled when the file changes, so
+// a render only pays for a fresh context
+var compiled = {};
+
+// runScript runs a script from src/ in a sandbox
+function runScript(script, sandbox) {
+    var file = path.join(srcDir, script);
+    var mtime = fs.statSync(file).mtimeMs;
+    var entry = compiled[script];
+    if (!entry || entry.mtime !== mtime) {
+        entry = compiled[script] = {
+            mtime: mtime,
+            script: new vm.Script(fs.readFileSync(file, 'utf8'), {filename: script}),
+        };
+    }
+    entry.script.runInContext(sandbox);
+}
+
+// loadDesign runs main.js and one design's scripts in a fresh sandbox and
+// activates the design. Resolves with the sandbox once every timer and
+// request the design started has finished.
+function loadDesign(name, seed) {
+    if (!designExists(name)) {
+        return Promise.reject(new Error('Unknown design ' + name));
+    }
+
+    return new Promise(function(resolve, reject) {
+        // Timers and requests the design has started but not finished
+        var pending = new Set();
+        var settled = false;
+
+        function check() {
+            if (!settled && pending.size === 0) {
+                settled = true;
+                clearTimeout(timer);
+                resolve(sandbox);
+            }
+        }
+
+        function finish(token) {
+            pending.delete(token);
+            setImmediate(check);
+        }
+
+        var $ = fakeQuery();
+        var ajax = $.ajax;
+        $.ajax = function(options) {
+            var token = {};
+            pending.add(token);
+            return ajax(Object.assign({}, options, {
+                complete: function() {
+                    try {
+                        options.complete && options.complete();
+                    } finally {
+                        finish(token);
+                    }
+                },
+            }));
+        };
+
+        var sandbox = {
+            // A copy, so muting pureimage in renderDesign() leaves it alone
+            console: Object.assign({}, console),
+            Math: Math,
+            JSON: JSON,
+            Date: Date,
+            URLSearchParams: URLSearchParams,
+            setTimeout: function(fn, ms) {
+                var handle = setTimeout(function() {
+                    try {
+                        fn();
+                    } finally {
+                        finish(handle);
+                    }
+                }, ms);
+                pending.add(handle);
+                return handle;
+            },
+            clearTimeout: function(handle) {
+                clearTimeout(handle);
+                finish(handle);
+            },
+            $: $,
+            jQuery: $,
+            location: {pathname: '/design/' + name, search: ''},
+            history: {pushState: function() {}, replaceState: function() {}},
+            document: {
+                getElementById: nullCanvas,
+                createElement: nullCanvas,
+            },
+        };
+        sandbox.window = sandbox;
+        vm.createContext(sandbox);
+
+        var timer = setTimeout(function() {
+            settled = true;
+            reject(new Error('Design ' + name + ' did not finish loading'));
+        }, settleTimeout);
+
+        try {
+            coreScripts.forEach(function(script) {
+                runScript(script, sandbox);
+            });
+            designScripts(name).forEach(function(script) {
+                runScript(name + '/' + script, sandbox);
+            });
+            sandbox.Seed = sandbox.ParseSeed(seed);
+            if (!sandbox.ActivateDesign(name)) {
+                throw new Error('Unknown design ' + name);
+            }
+        } catch (e) {
+            settled = true;
+            clearTimeout(timer);
+            reject(e);
+            return;
+        }
+        setImmediate(check);
+    });
+}
+
+// absent tells a size option that was not given from one that is not a number
+function absent(value) {
+    return value === undefined || value === '';
+}
+
+// renderDesign draws a design into a pure-JS bitmap. Height follows the
+// design's ratio unless both width and height are given.
+function renderDesign(name, options) {
+    options = options || {};
+    var seed = options.seed === undefined ? 1 : options.seed;
+
+    return loadDesign(name, seed).then(function(sandbox) {
+        var width = absent(options.width) ? sandbox.ratioX * sandbox.scale : Number(options.width);
+        var height = absent(options.height) ? Math.round(width * sandbox.ratioY / sandbox.ratioX) : Number(options.height);
+        if (!(width > 0 && height > 0 && width <= maxSize && height <= maxSize)) {
+            throw new RangeError('Image size must be between 1 and ' + maxSize + ' pixels');
+        }
+
+        var bitmap = PImage.make(Math.round(width), Math.round(height));
+        var ctx = bitmap.getContext('2d');
+        patchGradients(ctx);
+
+        // pureimage warns about every zero-length segment it strokes
+        var warn = console.warn;
+        console.warn = function() {};
+        try {
+            sandbox.RenderInto(ctx, bitmap.width, bitmap.height);
+        } finally {
+            console.warn = warn;
+        }
+        return bitmap;
+    });
+}
+
+// renderPNG renders a design and writes it to a stream as PNG
+function renderPNG(name, options, stream) {
+    return renderDesign(name, options).then(function(bitmap) {
+        return PImage.encodePNGToStream(bitmap, stream);
+    });
+}
+
+module.exports = {
+    designExists: designExists,
+    renderDesign: renderDesign,
+    renderPNG: renderPNG,
+};
+
+// Command line: node render.js <design> <out.png> [seed] [width] [height]
+if (require.main === module) {
+    var args = process.argv.slice(2);
+    if (args.length < 2) {
+        console.error('Usage: node render.js <design> <out.png> [seed] [width] [height]');
+        process.exit(1);
+    }
+    renderPNG(args[0], {seed: args[2], width: args[3], height: args[4]}, fs.createWriteStream(args[1])).then(function() {
+        console.log('Wrote ' + args[1]);
+    }, function(err) {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -1,9 +1,32 @@
 var express = require('express');
+var render = require('./render');
 var app = express();
 var port = process.env.PORT || 8080;
 
 app.use(express.static('src'));
 
+// Deep link to a registered design, e.g. /design/design2. Every design lives
+// in src/<name>/index.js, so other names are not found.
+app.get('/design/:name', (req, res) => {
+    if (!render.designExists(req.params.name)) {
+        res.status(404).type('text').send('Unknown design '+req.params.name);
+        return;
+    }
+    res.sendFile(__dirname+'/src/index.html');
+});
+
+// Headless render of a design, e.g. /render/design2.png?seed=42&width=3000
+app.get('/render/:design.png', (req, res) => {
+    res.type('png');
+    render.renderPNG(req.params.design, req.query, res).catch((err) => {
+        console.error('Failed to render '+req.params.design, err);
+        if (!res.headersSent) {
+            var status = /^Unknown design/.test(err.message) ? 404 : err instanceof RangeError ? 400 : 500;
+            res.status(status).type('text').send(err.message);
+        }
+    });
+});
+
 app.get('*', (req, res) => {
     res.sendFile(__dirname+'/src/index.html');
 });
@@ -0,0 +1,116 @@
+// Animation controller: advances the global `time` (seconds) from real
+// elapsed time with requestAnimationFrame and re-renders each frame.
+// State is kept in AnimationState: a global named Animation would replace
+// the browser's Web Animations constructor.
+var AnimationState = {
+    playing: false,
+    speed: 1,
+    fps: 0,
+    frame: null,
+    last: 0,
+};
+
+// Longest real gap counted as one frame, so a backgrounded tab does not jump
+var MaxFrameTime = .25;
+
+// Time advanced by StepAnimation() when paused
+var StepTime = 1 / 30;
+
+// FPS readout refresh interval in milliseconds
+var fpsInterval = 500;
+var fpsFrames = 0;
+var fpsStart = 0;
+
+function animationFrame(now) {
+    var dt = Math.min(MaxFrameTime, (now - AnimationState.last) / 1000);
+    AnimationState.last = now;
+    time += dt * AnimationState.speed;
+    UpdateRender();
+
+    // Average the frame rate over the last interval
+    fpsFrames++;
+    if (now - fpsStart >= fpsInterval) {
+        AnimationState.fps = fpsFrames * 1000 / (now - fpsStart);
+        fpsFrames = 0;
+        fpsStart = now;
+        UpdateAnimationControls();
+    }
+
+    AnimationState.frame = window.requestAnimationFrame(animationFrame);
+}
+
+function PlayAnimation() {
+    if (AnimationState.playing) {
+        return;
+    }
+    AnimationState.playing = true;
+    AnimationState.last = fpsStart = performance.now();
+    fpsFrames = 0;
+    AnimationState.frame = window.requestAnimationFrame(animationFrame);
+    UpdateAnimationControls();
+}
+
+function PauseAnimation() {
+    if (!AnimationState.playing) {
+        return;
+    }
+    AnimationState.playing = false;
+    window.cancelAnimationFrame(AnimationState.frame);
+    AnimationState.frame = null;
+    AnimationState.fps = 0;
+    UpdateAnimationControls();
+}
+
+function ToggleAnimation() {
+    if (AnimationState.playing) {
+        PauseAnimation();
+    } else {
+        PlayAnimation();
+    }
+}
+
+// StepAnimation pauses and moves one frame forward (or back with a negative dt)
+function StepAnimation(dt) {
+    PauseAnimation();
+    time = Math.max(0, time + (dt === undefined ? StepTime : dt) * AnimationState.speed);
+    UpdateRender();
+    UpdateAnimationControls();
+}
+
+function SetAnimationSpeed(speed) {
+    AnimationState.speed = speed;
+    UpdateAnimationControls();
+}
+
+// UpdateAnimationControls refreshes the play button and readouts
+function UpdateAnimationControls() {
+    $('#animation-play').text(AnimationState.playing ? "Pause" : "Play");
+    $('#animation-time').text(time.toFixed(2) + "s");
+    $('#animation-fps').text(AnimationState.playing ? AnimationState.fps.toFixed(0) + " fps" : "");
+}
+
+$( document ).ready(function() {
+    var $speed = $('#animation-speed');
+
+    $('#animation-play').on('click', function() {
+        ToggleAnimation();
+        $(this).blur();
+    });
+    $('#animation-step').on('click', function() {
+        StepAnimation();
+    });
+    $speed.on('change', function() {
+        SetAnimationSpeed(Number($speed.val()));
+        $speed.blur();
+    });
+
+    // Space toggles playback
+    $('body').on('keydown', function(e) {
+        if (e.which === 32 && !$(e.target).is('input, select, textarea, button')) {
+            ToggleAnimation();
+            return false;
+        }
+    });
+
+    UpdateAnimationControls();
+});
@@ -0,0 +1,120 @@
+// Global camera: the world point at the canvas' top-left corner (x, y) and
+// the zoom factor. Designs draw in world coordinates; UpdateRender applies
+// the camera as a context transform, so screen = (world - camera) * zoom.
+var Camera = {x: 0, y: 0, zoom: 1};
+
+// Zoom limits
+var MinZoom = 0.1;
+var MaxZoom = 50;
+
+// ResetCamera shows the poster at 1:1
+function ResetCamera() {
+    Camera = {x: 0, y: 0, zoom: 1};
+}
+
+// ApplyCamera sets the world-to-screen transform on a context
+function ApplyCamera(ctx) {
+    ctx.scale(Camera.zoom, Camera.zoom);
+    ctx.translate(-Camera.x, -Camera.y);
+}
+
+function WorldToScreen(x, y) {
+    return {
+        x: (x - Camera.x) * Camera.zoom,
+        y: (y - Camera.y) * Camera.zoom,
+    };
+}
+
+function ScreenToWorld(x, y) {
+    return {
+        x: x / Camera.zoom + Camera.x,
+        y: y / Camera.zoom + Camera.y,
+    };
+}
+
+// ViewBounds returns the world rectangle currently on screen
+function ViewBounds() {
+    return {
+        xMin: Camera.x,
+        yMin: Camera.y,
+        xMax: Camera.x + CanvasWidth / Camera.zoom,
+        yMax: Camera.y + CanvasHeight / Camera.zoom,
+    };
+}
+
+// PanCamera moves the view by a distance in screen pixels
+function PanCamera(dx, dy) {
+    Camera.x += dx / Camera.zoom;
+    Camera.y += dy / Camera.zoom;
+}
+
+// ZoomCamera scales the view by factor, keeping the world point under the
+// screen point (sx, sy) in place. Defaults to the canvas center.
+function ZoomCamera(factor, sx, sy) {
+    if (sx === undefined) {
+        sx = CenterX;
+        sy = CenterY;
+    }
+    var anchor = ScreenToWorld(sx, sy);
+    Camera.zoom = Math.min(MaxZoom, Math.max(MinZoom, Camera.zoom * factor));
+    Camera.x = anchor.x - sx / Camera.zoom;
+    Camera.y = anchor.y - sy / Camera.zoom;
+}
+
+// ContentBounds asks the active design for the world box of its content,
+// falling back to the whole poster
+function ContentBounds() {
+    var bounds = ActiveDesign && ActiveDesign.Bounds ? ActiveDesign.Bounds() : null;
+    return bounds || {xMin: 0, yMin: 0, xMax: CanvasWidth, yMax: CanvasHeight};
+}
+
+// FitCamera zooms and centers the view on a world box (default: the content)
+function FitCamera(bounds, margin) {
+    bounds = bounds || ContentBounds();
+    margin = margin === undefined ? 0.05 : margin;
+    var w = Math.max(1e-6, bounds.xMax - bounds.xMin);
+    var h = Math.max(1e-6, bounds.yMax - bounds.yMin);
+
+    Camera.zoom = Math.min(MaxZoom, Math.max(MinZoom,
+        (1 - 2 * margin) * Math.min(CanvasWidth / w, CanvasHeight / h)));
+    Camera.x = (bounds.xMin + bounds.xMax) / 2 - CenterX / Camera.zoom;
+    Camera.y = (bounds.yMin + bounds.yMax) / 2 - CenterY / Camera.zoom;
+}
+
+// Camera glide in progress (null when still)
+var CameraAnimation = null;
+
+// AnimateCamera glides to the view FitCamera would give for a world box,
+// easing over duration ms. The screen center moves in a straight line while
+// the zoom changes at a steady rate.
+function AnimateCamera(bounds, margin, duration) {
+    StopCameraAnimation();
+    var from = {zoom: Camera.zoom, x: Camera.x + CenterX / Camera.zoom, y: Camera.y + CenterY / Camera.zoom};
+    var start = {x: Camera.x, y: Camera.y, zoom: Camera.zoom};
+    FitCamera(bounds, margin);
+    var to = {zoom: Camera.zoom, x: Camera.x + CenterX / Camera.zoom, y: Camera.y + CenterY / Camera.zoom};
+    Camera = start;
+
+    var began = performance.now();
+    function step(now) {
+        var t = Math.min(1, (now - began) / duration);
+        var k = t < .5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+        var zoom = from.zoom * Math.pow(to.zoom / from.zoom, k);
+        Camera = {
+            x: from.x + (to.x - from.x) * k - CenterX / zoom,
+            y: from.y + (to.y - from.y) * k - CenterY / zoom,
+            zoom: zoom,
+        };
+        UpdateRender();
+        CameraAnimation = t < 1 ? window.requestAnimationFrame(step) : null;
+    }
+    CameraAnimation = window.requestAnimationFrame(step);
+}
+
+// StopCameraAnimation leaves the camera wherever a glide has got to
+function StopCameraAnimation() {
+    if (CameraAnimation !== null) {
+        window.cancelAnimationFrame(CameraAnimation);
+        CameraAnimation = null;
+    }
+}
@@ -0,0 +1,50 @@
+// Preset grammars for design1's L-system engine (see lsystem.js), keyed by
+// name. Each draws with the arc turtle: + and - are quarter arcs turning
+// right and left, | hops across the path, [ and ] branch.
+(function() {
+    window.LSystemGrammars = {
+        // The original design: four stems, each a column of leaves that
+        // grows by a half stem on both ends per level
+        stem: {
+            title: "Stems",
+            axiom: "SSSS",
+            rules: { S: "hlSlh" },
+            draw: {
+                S: "l",
+                l: "+-c-c-c-+-",    // leaf: three loops off a wave
+                h: "+-c-+-",        // half stem: one loop
+                c: "++++",          // a full circle
+            },
+            levels: 2,
+        },
+        // Heighway dragon, as the turns of a folded strip of paper
+        dragon: {
+            title: "Dragon curve",
+            axiom: "a",
+            rules: { a: "a+b", b: "a-b" },
+            levels: 8,
+        },
+        // Koch-style bumps on the four sides of a loop, which close up
+        // into clover leaves
+        clover: {
+            title: "Clovers",
+            axiom: "a+a+a+a+",
+            rules: { a: "a+a--a+a" },
+            levels: 2,
+        },
+        // A square whose sides keep breaking into waves
+        wave: {
+            title: "Wavy square",
+            axiom: "a-a-a-a-",
+            rules: { a: "a-+a+-a" },
+            levels: 2,
+        },
+        // Two bushes back to back, branching on every level
+        tangle: {
+            title: "Tangle",
+            axiom: "[b]++[b]",
+            rules: { b: "+-[+b]-[-b]+-b" },
+            levels: 4,
+        },
+    };
+})();
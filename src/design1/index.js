@@ -1,273 +1,287 @@
-// $( document ).ready(function() {
-const right = "Right";
-const left = "Left";
-const cellSize = scale / 16;
-const squareLine = cellSize / 100;
-const arcLine = cellSize / 10;
-
-var Squares = [];
-var Arcs = [];
-var cursor;
-var dir;
-var onThe;
-
-Init();
-MakePoster();
-UpdateRender();
-
-function MakePoster() {
-    cursor = {
-        x:-1,
-        y:-1,
-    };
-    dir = 3;
-    onThe = right;
-    var levels = 2;
-
-    MakeBackground();
-    Stem(levels);
-    Stem(levels);
-    Stem(levels);
-    Stem(levels);
-}
-
-function Stem(level) {
-    if (level) {
-        HalfStem();
-        Leaf();
-        Stem(level-1);
-        Leaf();
-        HalfStem();
-    } else {
-        Leaf();
+(function() {
+    const right = "Right";
+    const left = "Left";
+    const colorSpeed = 200; // arcs the color wave travels per second
+
+    // Grid cell and stroke sizes, from Params.cellSize in MakePoster
+    var cellSize;
+    var squareLine;
+    var arcLine;
+
+    var Squares = [];
+    var Arcs = [];
+
+    // Shapes of the poster, background first (see MakeScene in main.js)
+    var PosterScene;
+    var cursor;
+    var dir;
+    var onThe;
+
+    function MakePoster() {
+        Squares = [];
+        Arcs = [];
+        cursor = {
+            x:-1,
+            y:-1,
+        };
+        dir = 3;
+        onThe = right;
+        var grammar = LSystemGrammars[Params.grammar] || LSystemGrammars.stem;
+        var levels = Math.max(0, grammar.levels + Params.extraLevels);
+        cellSize = Params.cellSize;
+        squareLine = cellSize / 100;
+        arcLine = cellSize / 10;
+
+        MakeBackground();
+        RunTurtle(LSystem.expand(grammar, levels));
+
+        BuildScene();
     }
-}
-
-function MakeBackground() {
-    var numWide = CanvasWidth / cellSize;
-    var numHigh = CanvasHeight / cellSize;
-
-    for (var x = 0; x < numWide; x++) {
-        var x1 = cellSize * x;
-        var x2 = cellSize * (x+1);
-        for (var y = 0; y < numHigh; y++) {
-            var y1 = cellSize * y;
-            var y2 = cellSize * (y+1);
-            Squares.push({
-                points: [
-                    { x:x1, y:y1 },
-                    { x:x2, y:y1 },
-                    { x:x2, y:y2 },
-                    { x:x1, y:y2 },
+
+    // BuildScene turns the squares and arcs into shapes. Squares shade
+    // from Params.maxColor at the top to Params.minColor at the bottom, with
+    // some jitter; each arc is a white outline under a colored line, whose
+    // color follows a wave that travels along Arcs with time.
+    function BuildScene() {
+        var shapes = [];
+        var min = HexToRGB(Params.minColor);
+        var max = HexToRGB(Params.maxColor);
+        var rand = 10;
+        $.each(Squares, function(i, square) {
+            var h = (CanvasHeight - square.points[0].y) / CanvasHeight;
+            var fill = {
+                R:Math.floor(max.R * h - min.R * (h - 1)) - Math.floor(square.jitter.R * h * rand),
+                G:Math.floor(max.G * h - min.G * (h - 1)) - Math.floor(square.jitter.G * h * rand),
+                B:Math.floor(max.B * h - min.B * (h - 1)) - Math.floor(square.jitter.B * h * rand),
+            };
+            shapes.push({
+                type: "polygon",
+                points: square.points,
+                fill: RGBToString(fill),
+                stroke: "white",
+                lineWidth: squareLine,
+            });
+        });
+
+        var len = Arcs.length;
+        var r = cellSize/2;
+        $.each(Arcs, function(i, arc) {
+            var geometry = {
+                type: "arc",
+                x: arc.x * cellSize + CenterX,
+                y: arc.y * cellSize + CenterY,
+                r: r,
+                start: arc.start,
+                end: arc.end,
+            };
+            shapes.push({
+                type: "group",
+                title: "Arc " + (i + 1) + " of " + len,
+                children: [
+                    Object.assign({ stroke: "white", lineWidth: 3*arcLine }, geometry),
+                    Object.assign({ stroke: function(time) { return ArcColor(i, time); }, lineWidth: arcLine }, geometry),
                 ],
             });
-        }
+        });
+
+        PosterScene = MakeScene(shapes, cellSize * 4);
     }
-}
 
+    // ArcColor is the color of the arc at position i along the path
+    function ArcColor(i, time) {
+        var len = Arcs.length;
+        var pi2 = 2 * Math.PI;
+        var min = {R:180, G:180, B:180};
+        var max = {R:255, G:255, B:255};
+        var phase = time * colorSpeed;
+        return RGBToString({
+            R:Math.floor(((max.R - min.R)/2) * (Math.cos(pi2 * ((2*i+phase)/len + 1/4)) + 1) + min.R),
+            G:Math.floor(((max.G - min.G)/2) * (Math.cos(pi2 * ((i+phase)/len + 0/4)) + 1) + min.G),
+            B:Math.floor(((max.B - min.B)/2) * (Math.cos(pi2 * ((i+phase)/len + 2/4)) + 1) + min.B),
+        });
+    }
 
+    function MakeBackground() {
+        var numWide = CanvasWidth / cellSize;
+        var numHigh = CanvasHeight / cellSize;
+
+        for (var x = 0; x < numWide; x++) {
+            var x1 = cellSize * x;
+            var x2 = cellSize * (x+1);
+            for (var y = 0; y < numHigh; y++) {
+                var y1 = cellSize * y;
+                var y2 = cellSize * (y+1);
+                Squares.push({
+                    jitter: { R:Random(), G:Random(), B:Random() },
+                    points: [
+                        { x:x1, y:y1 },
+                        { x:x2, y:y1 },
+                        { x:x2, y:y2 },
+                        { x:x1, y:y2 },
+                    ],
+                });
+            }
+        }
+    }
 
 
-function Render() {
 
-    // Render background
 
-    BackContextHandle.lineWidth = squareLine / Camera.z;
-    var min = {R:133, G:197, B:144};
-    var max = {R:200, G:200, B:200};
-    var rand = 10;
+    function Scene() {
+        return PosterScene;
+    }
 
-    $.each(Squares, function(i, image) {
-        var p =image.points[0];
-        var h = (CanvasHeight - p.y) / CanvasHeight;
-        var fill = {
-            R:Math.floor(max.R * h - min.R * (h - 1)) - Math.floor(Math.random() * h * rand),
-            G:Math.floor(max.G * h - min.G * (h - 1)) - Math.floor(Math.random() * h * rand),
-            B:Math.floor(max.B * h - min.B * (h - 1)) - Math.floor(Math.random() * h * rand),
-        };
-        var newImage = {
-            fill: fill
-        };
-        newImage.points = image.points.map(function(point) {
-            return {
-                x: point.x / Camera.z - Camera.x,
-                y: point.y / Camera.z - Camera.y,
-            };
-        });
-        RenderImage(newImage);
-    });
+    function RGBToString(obj) {
+        return "rgb(" + obj.R + "," + obj.G + "," + obj.B + ")";
+    }
 
-    // Render design
+    function HexToRGB(hex) {
+        var n = parseInt(hex.slice(1), 16);
+        return {R:n >> 16 & 255, G:n >> 8 & 255, B:n & 255};
+    }
 
-    var len = Arcs.length;
-    var cStep = 256 / Arcs.length;
-    var pi2 = 2 * Math.PI;
-    var min = {R:180, G:180, B:180};
-    var max = {R:255, G:255, B:255};
 
-    $.each(Arcs, function(i, arc) {
 
-        var x = (arc.x * cellSize + CenterX) / Camera.z - Camera.x;
-        var y = (arc.y * cellSize + CenterY) / Camera.z - Camera.y;
-        var r = cellSize/2 / Camera.z;
 
-        // White outline
-        BackContextHandle.lineWidth = 3*arcLine / Camera.z;
-        BackContextHandle.strokeStyle = "white";
+    // RunTurtle draws a string of L-system turtle commands (see lsystem.js)
+    function RunTurtle(commands) {
+        var saved = [];
+        for (var i = 0; i < commands.length; i++) {
+            switch (commands[i]) {
+                case "+":
+                    turnRight();
+                    break;
+                case "-":
+                    turnLeft();
+                    break;
+                case "|":
+                    if (onThe == right) {
+                        hopRight();
+                    } else {
+                        hopLeft();
+                    }
+                    break;
+                case "[":
+                    saved.push({ cursor: cursor, dir: dir, onThe: onThe });
+                    break;
+                case "]":
+                    var state = saved.pop();
+                    if (state) {
+                        cursor = state.cursor;
+                        dir = state.dir;
+                        onThe = state.onThe;
+                    }
+                    break;
+            }
+        }
+    }
 
-        BackContextHandle.beginPath();
-        BackContextHandle.arc(x, y, r, arc.start, arc.end);
-        BackContextHandle.stroke();
+    function turnRight() {
+        if (onThe == right) {
+            hopRight();
+        }
 
-        // Color arc
-        BackContextHandle.lineWidth = arcLine / Camera.z;
-        var fill = {
-            R:Math.floor(((max.R - min.R)/2) * (Math.cos(pi2 * ((2*i+time)/len + 1/4)) + 1) + min.R),
-            G:Math.floor(((max.G - min.G)/2) * (Math.cos(pi2 * ((i+time)/len + 0/4)) + 1) + min.G),
-            B:Math.floor(((max.B - min.B)/2) * (Math.cos(pi2 * ((i+time)/len + 2/4)) + 1) + min.B),
-        };
-        BackContextHandle.strokeStyle = RGBToString(fill);
+        Arcs.push({
+            x: cursor.x,
+            y: cursor.y,
+            start: .5*(dir-1)*Math.PI,
+            end: .5*dir*Math.PI,
+        });
+        dir = (dir+1)%4;
+    }
 
-        BackContextHandle.beginPath();
-        BackContextHandle.arc(x, y, r, arc.start, arc.end);
-        BackContextHandle.stroke();
+    function turnLeft() {
+        if (onThe == left) {
+            hopLeft();
+        }
 
-    });
-}
+        Arcs.push({
+            x: cursor.x,
+            y: cursor.y,
+            start: .5*dir*Math.PI,
+            end: .5*(dir+1)*Math.PI,
+        });
+        dir = (dir+3)%4;
+    }
 
-function RenderImage(image) {
-    var ctx = BackContextHandle;
+    function hopRight() {
+        var n = dirToCord(dir+1);
+        cursor = {
+            x:cursor.x + n.x,
+            y:cursor.y + n.y,
+        };
+        onThe = left;
+    }
 
-    // Set color
-    var fill = image.fill;
-    if (fill !== undefined) {
-        ctx.fillStyle = RGBToString(fill);
-    } else {
-        ctx.fillStyle = "white";
+    function hopLeft() {
+        var n = dirToCord(dir-1);
+        cursor = {
+            x:cursor.x + n.x,
+            y:cursor.y + n.y,
+        };
+        onThe = right;
     }
 
-    // Set line color
-    var line = image.line;
-    if (line !== undefined) {
-        ctx.strokeStyle = RGBToString(line);
-    } else {
-        ctx.strokeStyle = "white";
+    function dirToCord(dir) {
+        switch ((dir+4)%4) {
+            case 0:
+                return {x:1, y:0};
+            case 1:
+                return {x:0, y:1};
+            case 2:
+                return {x:-1, y:0};
+            case 3:
+                return {x:0, y:-1};
+            default:
+                console.log("Error: dirToCord "+ dir%4);
+        }
     }
 
-    // Draw from point to point
-    var points = image.points;
-    ctx.beginPath();
-    ctx.moveTo(points[0].x, points[0].y);
-    ctx.lineTo(points[1].x, points[1].y);
-    ctx.lineTo(points[2].x, points[2].y);
-    ctx.lineTo(points[3].x, points[3].y);
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
-}
-
-function RGBToString(obj) {
-    return "rgb(" + obj.R + "," + obj.G + "," + obj.B + ")";
-}
-
-
-
-
-function Leaf() {
-    turnRight();
-    turnLeft();
-    circleRight();
-    turnLeft();
-    circleRight();
-    turnLeft();
-    circleRight();
-    turnLeft();
-    turnRight();
-    turnLeft();
-
-}
-
-function HalfStem() {
-    turnRight();
-    turnLeft();
-    circleRight();
-    turnLeft();
-    turnRight();
-    turnLeft();
-}
-
-function circleRight() {
-    turnRight();
-    turnRight();
-    turnRight();
-    turnRight();
-}
-
-function circleLeft() {
-    turnLeft();
-    turnLeft();
-    turnLeft();
-    turnLeft();
-}
-
-function turnRight() {
-    if (onThe == right) {
-        hopRight();
+    // Bounds frames the arcs, not the background grid
+    function Bounds() {
+        if (!Arcs.length) {
+            return null;
+        }
+        var bounds = {xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity};
+        $.each(Arcs, function(i, arc) {
+            var x = arc.x * cellSize + CenterX;
+            var y = arc.y * cellSize + CenterY;
+            bounds.xMin = Math.min(bounds.xMin, x - cellSize);
+            bounds.yMin = Math.min(bounds.yMin, y - cellSize);
+            bounds.xMax = Math.max(bounds.xMax, x + cellSize);
+            bounds.yMax = Math.max(bounds.yMax, y + cellSize);
+        });
+        return bounds;
     }
 
-    Arcs.push({
-        x: cursor.x,
-        y: cursor.y,
-        start: .5*(dir-1)*Math.PI,
-        end: .5*dir*Math.PI,
-    });
-    dir = (dir+1)%4;
-}
+    // LoopLength is the time for the color wave to cycle once through every arc
+    function LoopLength() {
+        return Arcs.length / colorSpeed;
+    }
 
-function turnLeft() {
-    if (onThe == left) {
-        hopLeft();
+    // GrammarTitles lists the preset grammars for the grammar param
+    function GrammarTitles() {
+        var titles = {};
+        $.each(LSystemGrammars, function(name, grammar) {
+            titles[name] = grammar.title || name;
+        });
+        return titles;
     }
 
-    Arcs.push({
-        x: cursor.x,
-        y: cursor.y,
-        start: .5*dir*Math.PI,
-        end: .5*(dir+1)*Math.PI,
+    RegisterDesign({
+        name: "design1",
+        title: "L-system arcs",
+        defaults: { ratioX: 3, ratioY: 2 },
+        params: {
+            grammar: { type: "choice", label: "Grammar", options: GrammarTitles(), default: "stem" },
+            extraLevels: { type: "number", label: "Extra levels", min: -4, max: 4, step: 1, default: 0 },
+            cellSize: { type: "number", label: "Cell size", min: 10, max: 60, step: 1, default: scale / 16 },
+            minColor: { type: "color", label: "Bottom color", default: "#85c590" },
+            maxColor: { type: "color", label: "Top color", default: "#c8c8c8" },
+        },
+        MakePoster: MakePoster,
+        Scene: Scene,
+        Bounds: Bounds,
+        LoopLength: LoopLength,
     });
-    dir = (dir+3)%4;
-}
-
-function hopRight() {
-    var n = dirToCord(dir+1);
-    cursor = {
-        x:cursor.x + n.x,
-        y:cursor.y + n.y,
-    };
-    onThe = left;
-}
-
-function hopLeft() {
-    var n = dirToCord(dir-1);
-    cursor = {
-        x:cursor.x + n.x,
-        y:cursor.y + n.y,
-    };
-    onThe = right;
-}
-
-function dirToCord(dir) {
-    switch ((dir+4)%4) {
-        case 0:
-            return {x:1, y:0};
-        case 1:
-            return {x:0, y:1};
-        case 2:
-            return {x:-1, y:0};
-        case 3:
-            return {x:0, y:-1};
-        default:
-            console.log("Error: dirToCord "+ dir%4);
-    }
-}
-// });
+})();
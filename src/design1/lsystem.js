@@ -0,0 +1,78 @@
+// L-system engine for design1: grammars are data, rewritten into a string of
+// commands for the arc turtle. A grammar has
+//   axiom  - the starting string
+//   rules  - productions, symbol -> string, applied to every symbol at once
+//            on each level
+//   draw   - what the symbols left after the last level stand for, symbol ->
+//            string; draw strings may use other draw symbols
+//   levels - how many times to rewrite the axiom
+// Turtle commands (anything else is skipped when drawing):
+//   +  turn right along a quarter arc
+//   -  turn left along a quarter arc
+//   |  hop to the other side of the path without drawing
+//   [  remember where the turtle is
+//   ]  return to where it was last remembered
+(function() {
+    // Longest string a grammar may grow to; rewriting stops short of it
+    var maxSymbols = 200000;
+
+    // Nesting allowed in draw strings, which guards against cycles
+    var maxDrawDepth = 32;
+
+    // rewrite applies the rules to every symbol of a string at once
+    function rewrite(str, rules) {
+        var out = [];
+        for (var i = 0; i < str.length; i++) {
+            var c = str[i];
+            out.push(rules.hasOwnProperty(c) ? rules[c] : c);
+        }
+        return out.join("");
+    }
+
+    // expand rewrites the axiom the given number of levels (the grammar's own
+    // by default) and spells out its draw symbols, returning turtle commands
+    function expand(grammar, levels) {
+        var rules = grammar.rules || {};
+        var str = grammar.axiom;
+        if (levels === undefined) {
+            levels = grammar.levels;
+        }
+        for (var level = 0; level < levels; level++) {
+            var next = rewrite(str, rules);
+            if (next.length > maxSymbols) {
+                console.log("Warning: L-system stopped at level " + level + " of " + levels + ", past " + maxSymbols + " symbols");
+                break;
+            }
+            str = next;
+        }
+        return commands(str, grammar.draw || {});
+    }
+
+    // commands replaces draw symbols by what they stand for, recursively
+    function commands(str, draw) {
+        var spelled = {};
+        function spell(symbol, depth) {
+            if (!spelled.hasOwnProperty(symbol)) {
+                if (depth > maxDrawDepth) {
+                    throw new Error("L-system draw symbol " + symbol + " nests too deep");
+                }
+                spelled[symbol] = draw[symbol].split("").map(function(c) {
+                    return draw.hasOwnProperty(c) ? spell(c, depth + 1) : c;
+                }).join("");
+            }
+            return spelled[symbol];
+        }
+
+        var out = [];
+        for (var i = 0; i < str.length; i++) {
+            var c = str[i];
+            out.push(draw.hasOwnProperty(c) ? spell(c, 0) : c);
+        }
+        return out.join("");
+    }
+
+    window.LSystem = {
+        expand: expand,
+        maxSymbols: maxSymbols,
+    };
+})();
@@ -1,145 +1,234 @@
-const baseNum = 25;
-const cellSize = scale / baseNum;
-const borderSize = cellSize * 2;
-const lineSize = cellSize / 10;
-const numX = baseNum * ratioX;
-const numY = baseNum * ratioY;
-
-const lineChance = 1/10;
-const arcChance = 1/10;
-
-var Lines = [];
-var Arcs = [];
-
-Init();
-MakePoster();
-UpdateRender();
-
-function MakePoster() {
-
-    for (x=1; x < numX; x++) {
-        for (y=1; y < numY; y++) {
-            var x1 = x * cellSize;
-            var y1 = y * cellSize;
-            if (Math.random() < lineChance) {
-                Lines.push({
-                    x1: x1,
-                    y1: y1,
-                    x2: (x+.5) * cellSize,
-                    y2: y1,
-                });
-            }
-            if (Math.random() < lineChance) {
-                Lines.push({
-                    x1: x1,
-                    y1: y1,
-                    x2: x1,
-                    y2: (y+.5) * cellSize,
-                });
-            }
-            if (Math.random() < lineChance) {
-                Lines.push({
-                    x1: x1,
-                    y1: y1,
-                    x2: (x-.5) * cellSize,
-                    y2: y1,
-                });
+(function() {
+    // Grid and stroke sizes, from Params in MakePoster
+    var baseNum;
+    var cellSize;
+    var borderSize;
+    var lineSize;
+
+    var Lines = [];
+    var Arcs = [];
+    var Fills = [];
+
+    // Shapes of the poster, frame first (see MakeScene in main.js)
+    var PosterScene;
+
+    function MakePoster() {
+        baseNum = Params.baseNum;
+        cellSize = scale / baseNum;
+        borderSize = cellSize * Params.borderSize;
+        lineSize = cellSize / 10;
+        Lines = [];
+        Arcs = [];
+        Fills = [];
+
+        var set = Tiles.sets[Params.tiles];
+        if (set) {
+            LayTiles(set);
+        } else {
+            Scatter();
+        }
+
+        BuildScene();
+    }
+
+    // Scatter drops line stubs and arcs on the grid points independently,
+    // by Params.lineChance and Params.arcChance
+    function Scatter() {
+        var lineChance = Params.lineChance;
+        var arcChance = Params.arcChance;
+
+        var numX = baseNum * ratioX;
+        var numY = baseNum * ratioY;
+
+        for (var x=1; x < numX; x++) {
+            for (var y=1; y < numY; y++) {
+                var x1 = x * cellSize;
+                var y1 = y * cellSize;
+                if (Random() < lineChance) {
+                    Lines.push({
+                        x1: x1,
+                        y1: y1,
+                        x2: (x+.5) * cellSize,
+                        y2: y1,
+                    });
+                }
+                if (Random() < lineChance) {
+                    Lines.push({
+                        x1: x1,
+                        y1: y1,
+                        x2: x1,
+                        y2: (y+.5) * cellSize,
+                    });
+                }
+                if (Random() < lineChance) {
+                    Lines.push({
+                        x1: x1,
+                        y1: y1,
+                        x2: (x-.5) * cellSize,
+                        y2: y1,
+                    });
+                }
+                if (Random() < lineChance) {
+                    Lines.push({
+                        x1: x1,
+                        y1: y1,
+                        x2: x1,
+                        y2: (y-.5) * cellSize,
+                    });
+                }
             }
-            if (Math.random() < lineChance) {
-                Lines.push({
-                    x1: x1,
-                    y1: y1,
-                    x2: x1,
-                    y2: (y-.5) * cellSize,
-                });
+        }
+
+        for (var x=1; x < numX; x++) {
+            for (var y=1; y < numY; y++) {
+                var x1 = x * cellSize;
+                var y1 = y * cellSize;
+                if (Random() < arcChance) {
+                    Arcs.push({
+                        x: x1,
+                        y: y1,
+                        s: 0,
+                    });
+                }
+                if (Random() < arcChance) {
+                    Arcs.push({
+                        x: x1,
+                        y: y1,
+                        s: 1,
+                    });
+                }
+                if (Random() < arcChance) {
+                    Arcs.push({
+                        x: x1,
+                        y: y1,
+                        s: 2,
+                    });
+                }
+                if (Random() < arcChance) {
+                    Arcs.push({
+                        x: x1,
+                        y: y1,
+                        s: 3,
+                    });
+                }
             }
         }
     }
 
-    for (x=1; x < numX; x++) {
-        for (y=1; y < numY; y++) {
-            var x1 = x * cellSize;
-            var y1 = y * cellSize;
-            if (Math.random() < arcChance) {
-                Arcs.push({
-                    x: x1,
-                    y: y1,
-                    s: 0,
+    // LayTiles covers the panel inside the border with tiles from the set.
+    // Quarter circles go to Arcs and lines to Lines; their ends meet on the
+    // midpoints of the cell sides.
+    function LayTiles(set) {
+        var cols = Math.floor((CanvasWidth - 2*borderSize) / cellSize);
+        var rows = Math.floor((CanvasHeight - 2*borderSize) / cellSize);
+        var x0 = (CanvasWidth - cols*cellSize) / 2;
+        var y0 = (CanvasHeight - rows*cellSize) / 2;
+        var weights = {
+            turn: Params.turnWeight,
+            straight: Params.straightWeight,
+            cross: Params.crossWeight,
+            empty: Params.emptyWeight,
+        };
+        var grid = Tiles.place(set, cols, rows, function(tile) {
+            var factor = weights[tile.kind];
+            return tile.weight * (factor === undefined ? 1 : factor);
+        }, Random);
+
+        $.each(grid, function(y, row) {
+            $.each(row, function(x, tile) {
+                if (!tile) {
+                    return;
+                }
+                var left = x0 + x*cellSize;
+                var top = y0 + y*cellSize;
+                $.each(tile.arcs, function(i, corner) {
+                    Arcs.push({
+                        x: left + (corner == 1 || corner == 2 ? cellSize : 0),
+                        y: top + (corner >= 2 ? cellSize : 0),
+                        s: corner,
+                    });
                 });
-            }
-            if (Math.random() < arcChance) {
-                Arcs.push({
-                    x: x1,
-                    y: y1,
-                    s: 1,
-                });
-            }
-            if (Math.random() < arcChance) {
-                Arcs.push({
-                    x: x1,
-                    y: y1,
-                    s: 2,
+                $.each(tile.lines, function(i, line) {
+                    Lines.push({
+                        x1: left + line[0]*cellSize,
+                        y1: top + line[1]*cellSize,
+                        x2: left + line[2]*cellSize,
+                        y2: top + line[3]*cellSize,
+                    });
                 });
-            }
-            if (Math.random() < arcChance) {
-                Arcs.push({
-                    x: x1,
-                    y: y1,
-                    s: 3,
+                $.each(tile.fills, function(i, points) {
+                    Fills.push({
+                        points: points.map(function(p) {
+                            return {x: left + p[0]*cellSize, y: top + p[1]*cellSize};
+                        }),
+                    });
                 });
-            }
-        }
+            });
+        });
     }
-}
-
-function Render() {
-
-    //Draw white frams
-    BackContextHandle.fillStyle="white";
-    var x = -Camera.x;
-    var y = -Camera.y;
-    var w = CanvasWidth / Camera.z;
-    var h = CanvasHeight / Camera.z;
-    BackContextHandle.fillRect(-Camera.x,-Camera.y,CanvasWidth / Camera.z, CanvasHeight / Camera.z);
-
-    // Draw grey background
-    BackContextHandle.fillStyle="#eeeeee";
-    x = -Camera.x + borderSize;
-    y = -Camera.y + borderSize;
-    w = (CanvasWidth - 2*borderSize) / Camera.z;
-    h = (CanvasHeight - 2*borderSize) / Camera.z;
-    BackContextHandle.fillRect(x, y, w, h);
-
-    // Set properties for lines
-    BackContextHandle.lineWidth = lineSize / Camera.z;
-    BackContextHandle.strokeStyle = "white";
-    BackContextHandle.lineCap="round";
-
-
-    // Render lines
-    $.each(Lines, function(i, line) {
-        var x1 = line.x1 / Camera.z - Camera.x;
-        var y1 = line.y1 / Camera.z - Camera.y;
-        var x2 = line.x2 / Camera.z - Camera.x;
-        var y2 = line.y2 / Camera.z - Camera.y;
-
-        BackContextHandle.beginPath();
-        BackContextHandle.moveTo(x1, y1);
-        BackContextHandle.lineTo(x2, y2);
-        BackContextHandle.stroke();
-    });
 
-    // Render arcs
-    var r = cellSize/2 / Camera.z;
-    $.each(Arcs, function(i, arc) {
-        var x = arc.x / Camera.z - Camera.x;
-        var y = arc.y / Camera.z - Camera.y;
-        var s = arc.s * Math.PI / 2;
-        var e = (arc.s+1)%4 * Math.PI / 2;
+    // BuildScene turns the fills, lines and arcs into white shapes on a grey
+    // panel inside a white frame
+    function BuildScene() {
+        var shapes = [
+            { type: "rect", x: 0, y: 0, w: CanvasWidth, h: CanvasHeight, fill: "white" },
+            { type: "rect", x: borderSize, y: borderSize, w: CanvasWidth - 2*borderSize, h: CanvasHeight - 2*borderSize, fill: "#eeeeee" },
+        ];
+
+        $.each(Fills, function(i, fill) {
+            shapes.push({ type: "polygon", points: fill.points, fill: "white" });
+        });
+
+        var line = { stroke: "white", lineWidth: lineSize, lineCap: "round" };
+        $.each(Lines, function(i, l) {
+            shapes.push(Object.assign({ type: "line", x1: l.x1, y1: l.y1, x2: l.x2, y2: l.y2 }, line));
+        });
+
+        var r = cellSize/2;
+        $.each(Arcs, function(i, arc) {
+            shapes.push(Object.assign({
+                type: "arc",
+                x: arc.x,
+                y: arc.y,
+                r: r,
+                start: arc.s * Math.PI / 2,
+                end: (arc.s+1)%4 * Math.PI / 2,
+            }, line));
+        });
+
+        PosterScene = MakeScene(shapes, cellSize * 4);
+    }
 
-        BackContextHandle.beginPath();
-        BackContextHandle.arc(x, y, r, s, e);
-        BackContextHandle.stroke();
+    function Scene() {
+        return PosterScene;
+    }
+
+    // TileSetTitles lists the tile modes for the tiles param: the scattered
+    // lines and arcs, then the tile sets
+    function TileSetTitles() {
+        var titles = { scatter: "Scattered" };
+        $.each(Tiles.sets, function(name, set) {
+            titles[name] = set.title || name;
+        });
+        return titles;
+    }
 
+    RegisterDesign({
+        name: "design2",
+        title: "Lines and arcs",
+        defaults: { ratioX: 3, ratioY: 2 },
+        params: {
+            baseNum: { type: "number", label: "Cells", min: 5, max: 60, step: 1, default: 25 },
+            tiles: { type: "choice", label: "Tiles", options: TileSetTitles(), default: "scatter" },
+            lineChance: { type: "number", label: "Lines", min: 0, max: 1, step: 0.01, default: 1/10 },
+            arcChance: { type: "number", label: "Arcs", min: 0, max: 1, step: 0.01, default: 1/10 },
+            turnWeight: { type: "number", label: "Turn weight", min: 0, max: 4, step: 0.1, default: 1 },
+            straightWeight: { type: "number", label: "Straight weight", min: 0, max: 4, step: 0.1, default: 1 },
+            crossWeight: { type: "number", label: "Cross weight", min: 0, max: 4, step: 0.1, default: 0 },
+            emptyWeight: { type: "number", label: "Empty weight", min: 0, max: 4, step: 0.1, default: 1 },
+            borderSize: { type: "number", label: "Border (cells)", min: 0, max: 5, step: 0.5, default: 2 },
+        },
+        MakePoster: MakePoster,
+        Scene: Scene,
     });
-}
+})();
@@ -0,0 +1,165 @@
+// Tile sets for design2's tile mode, and the placer that lays them on the
+// grid. A tile is drawn in a unit cell, (0, 0) at the top left, from
+//   arcs  - corners (0 top left, then clockwise) with a quarter circle of
+//           radius 1/2 around them, joining the midpoints of the two sides
+//           that meet there
+//   lines - [x1, y1, x2, y2]
+//   fills - polygons, [[x, y], ...]
+// It has a kind (turn, straight, cross, empty or triangle), which the weight
+// params scale, and its own weight. In an edge-matched (Wang) set it also
+// has edges: the colors of its top, right, bottom and left sides. A side
+// must have the color of the side it touches, and in a closed set the sides
+// along the edge of the grid must be 0.
+(function() {
+    var corners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+    // rotate turns a tile clockwise by the given number of quarter turns
+    function rotate(tile, times) {
+        function turn(x, y) {
+            for (var i = 0; i < times; i++) {
+                var t = x;
+                x = 1 - y;
+                y = t;
+            }
+            return [x, y];
+        }
+
+        var out = Object.assign({}, tile);
+        out.arcs = (tile.arcs || []).map(function(corner) {
+            return (corner + times) % 4;
+        });
+        out.lines = (tile.lines || []).map(function(line) {
+            return turn(line[0], line[1]).concat(turn(line[2], line[3]));
+        });
+        out.fills = (tile.fills || []).map(function(points) {
+            return points.map(function(p) {
+                return turn(p[0], p[1]);
+            });
+        });
+        if (tile.edges) {
+            out.edges = tile.edges.map(function(color, i) {
+                return tile.edges[(i + 4 - times % 4) % 4];
+            });
+        }
+        return out;
+    }
+
+    // rotations returns the tile turned by 0 up to n-1 quarter turns
+    function rotations(tile, n) {
+        var out = [];
+        for (var i = 0; i < n; i++) {
+            out.push(rotate(tile, i));
+        }
+        return out;
+    }
+
+    // Two turns on opposite corners: every side has a path end
+    var quarters = { kind: "turn", weight: 1, edges: [1, 1, 1, 1], arcs: [0, 2] };
+    var cross = { kind: "cross", weight: 1, edges: [1, 1, 1, 1], lines: [[.5, 0, .5, 1], [0, .5, 1, .5]] };
+
+    var sets = {
+        // Quarter circles on opposite corners, turned either way, which
+        // always join up
+        truchet: {
+            title: "Truchet quarter circles",
+            tiles: rotations(quarters, 2),
+        },
+        // Truchet's original tiles: squares split along a diagonal, one half
+        // filled
+        triangles: {
+            title: "Truchet triangles",
+            tiles: rotations({ kind: "triangle", weight: 1, fills: [[corners[0], corners[1], corners[3]]] }, 4),
+        },
+        // The quarter circles with crossings mixed in by the cross weight,
+        // which keep the loops from all nesting
+        smith: {
+            title: "Smith quarter circles",
+            tiles: rotations(quarters, 2).concat(cross),
+        },
+        // Edge colors say whether a path leaves by that side. Every tile has
+        // an even number of path ends and the grid's edge has none, so every
+        // path closes into a loop
+        wang: {
+            title: "Wang loops",
+            closed: true,
+            tiles: [{ kind: "empty", weight: 1, edges: [0, 0, 0, 0] }]
+                .concat(rotations({ kind: "turn", weight: 1, edges: [1, 0, 0, 1], arcs: [0] }, 4))
+                .concat(rotations({ kind: "straight", weight: 1, edges: [1, 0, 1, 0], lines: [[.5, 0, .5, 1]] }, 2))
+                .concat(rotations(quarters, 2))
+                .concat(cross),
+        },
+    };
+
+    // Every tile gets all three shape lists, empty where it draws none
+    Object.keys(sets).forEach(function(name) {
+        sets[name].tiles = sets[name].tiles.map(function(tile) {
+            return rotate(tile, 0);
+        });
+    });
+
+    // place fills a cols by rows grid with tiles from the set, row by row,
+    // each picked at random by weight among the tiles matching the sides
+    // already placed. weight(tile) gives each tile's weight; when every tile
+    // that fits weighs nothing, one of them is picked evenly. Returns rows of
+    // tiles, with null where nothing fits.
+    function place(set, cols, rows, weight, random) {
+        var grid = [];
+        for (var y = 0; y < rows; y++) {
+            var row = [];
+            for (var x = 0; x < cols; x++) {
+                var left = x > 0 ? row[x - 1] : null;
+                var up = y > 0 ? grid[y - 1][x] : null;
+                var fits = set.tiles.filter(function(tile) {
+                    var e = tile.edges;
+                    if (!e) {
+                        return true;
+                    }
+                    return matches(e[3], left, 1, x === 0 && set.closed)
+                        && matches(e[0], up, 2, y === 0 && set.closed)
+                        && (!set.closed || x < cols - 1 || e[1] === 0)
+                        && (!set.closed || y < rows - 1 || e[2] === 0);
+                });
+                row.push(pick(fits, weight, random));
+            }
+            grid.push(row);
+        }
+        return grid;
+    }
+
+    // matches checks a side against the given side of its neighbor, or
+    // against 0 on the closed edge of the grid
+    function matches(color, neighbor, side, onEdge) {
+        if (onEdge) {
+            return color === 0;
+        }
+        if (!neighbor || !neighbor.edges) {
+            return true;
+        }
+        return neighbor.edges[side] === color;
+    }
+
+    // pick chooses one of the tiles at random, by weight
+    function pick(tiles, weight, random) {
+        if (!tiles.length) {
+            return null;
+        }
+        var weights = tiles.map(function(tile) {
+            return Math.max(0, weight(tile));
+        });
+        var total = weights.reduce(function(a, b) { return a + b; }, 0);
+        var r = random() * (total || tiles.length);
+        for (var i = 0; i < tiles.length; i++) {
+            r -= total ? weights[i] : 1;
+            if (r < 0) {
+                return tiles[i];
+            }
+        }
+        return tiles[tiles.length - 1];
+    }
+
+    window.Tiles = {
+        sets: sets,
+        rotate: rotate,
+        place: place,
+    };
+})();
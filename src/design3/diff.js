@@ -0,0 +1,216 @@
+// ============================================================================
+// TREE DIFFS for design3
+// ============================================================================
+// Compares two states of a tree, as maps in design3's format (see formats.js),
+// and merges them into one map holding every entry of both, with each changed
+// entry's id marked "added", "removed" or "modified". A directory whose
+// entries were all added (or all removed) is itself added (or removed); one
+// with any other change beneath it is modified.
+// Also reads `git diff --name-status` output as the changes leading to a map.
+// Uses TreeFormats (formats.js) for older maps.
+(function() {
+
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    function isDir(val) {
+        return val !== null && typeof val === "object";
+    }
+
+    /**
+     * compare() - Merges the map before a change with the map after it
+     * @param {Object} before - Older map
+     * @param {Object} after - Newer map
+     * @returns {Object} { map (after's entries, plus the removed ones from
+     *   before), status: { id: "added" | "removed" | "modified" }, counts:
+     *   files { added, removed, modified } }
+     */
+    function compare(before, after) {
+        var status = {};
+        var counts = { added: 0, removed: 0, modified: 0 };
+
+        /** Marks an entry and everything beneath it */
+        function markAll(val, id, change) {
+            status[id] = change;
+            if (!isDir(val)) {
+                counts[change] += 1;
+                return;
+            }
+            Object.keys(val).forEach(function(key) {
+                markAll(val[key], id + "/" + key, change);
+            });
+        }
+
+        /**
+         * Merges two directories' entries, returning the merged directory and
+         * whether anything beneath changed
+         */
+        function merge(a, b, path) {
+            var out = {};
+            var changed = false;
+            Object.keys(b).forEach(function(key) {
+                var id = path ? path + "/" + key : key;
+                if (!hasOwn.call(a, key)) {
+                    out[key] = b[key];
+                    markAll(b[key], id, "added");
+                    changed = true;
+                } else if (isDir(a[key]) && isDir(b[key])) {
+                    var sub = merge(a[key], b[key], id);
+                    out[key] = sub.map;
+                    if (sub.changed) {
+                        status[id] = dirStatus(sub.map, id, status);
+                        changed = true;
+                    }
+                } else {
+                    out[key] = b[key];
+                    if (a[key] !== b[key]) {
+                        // A file that became a directory (or back) counts as modified
+                        status[id] = "modified";
+                        if (!isDir(b[key])) counts.modified += 1;
+                        changed = true;
+                    }
+                }
+            });
+            Object.keys(a).forEach(function(key) {
+                if (hasOwn.call(b, key)) return;
+                var id = path ? path + "/" + key : key;
+                out[key] = a[key];
+                markAll(a[key], id, "removed");
+                changed = true;
+            });
+            return { map: out, changed: changed };
+        }
+
+        var merged = merge(before, after, "");
+        return { map: merged.map, status: status, counts: counts };
+    }
+
+    /**
+     * Status of a directory with changes beneath: added or removed when every
+     * entry was, modified otherwise
+     */
+    function dirStatus(dir, id, status) {
+        var keys = Object.keys(dir);
+        var first = keys.length ? status[id + "/" + keys[0]] : null;
+        if (first !== "added" && first !== "removed") return "modified";
+        for (var i = 1; i < keys.length; i++) {
+            if (status[id + "/" + keys[i]] !== first) return "modified";
+        }
+        return first;
+    }
+
+    // ========================================================================
+    // git diff --name-status
+    // ========================================================================
+
+    /** One line of name-status output: status letter, similarity score, path(s) */
+    var NameStatusLine = /^([ACDMRTUX])(\d*)\t([^\t]+)(?:\t([^\t]+))?$/;
+
+    /**
+     * parseChanges() - Reads `git diff --name-status` output
+     * @param {string} text - File contents
+     * @returns {Array|null} [{ change: "added" | "removed" | "modified", path }],
+     *   or null when the text is not name-status output. Renames become a
+     *   removal and an addition, copies an addition.
+     */
+    function parseChanges(text) {
+        var lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter(function(line) { return line.trim(); });
+        if (lines.length === 0) return null;
+
+        var changes = [];
+        for (var i = 0; i < lines.length; i++) {
+            var m = NameStatusLine.exec(lines[i]);
+            if (!m) return null;
+            var letter = m[1];
+            if (letter === "R" || letter === "C") {
+                if (!m[4]) return null;
+                if (letter === "R") changes.push({ change: "removed", path: m[3] });
+                changes.push({ change: "added", path: m[4] });
+            } else {
+                changes.push({
+                    change: letter === "A" ? "added" : letter === "D" ? "removed" : "modified",
+                    path: m[3],
+                });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * apply() - Marks changes in the map they led to: removed paths are put
+     * back (as files of unknown size), and paths missing from the map are
+     * added. The map itself is left as it is; directories along changed paths
+     * are copied.
+     * @param {Object} map - Map of the newer state
+     * @param {Array} changes - From parseChanges()
+     * @returns {Object} Like compare()
+     */
+    function apply(map, changes) {
+        var status = {};
+        var counts = { added: 0, removed: 0, modified: 0 };
+        var root = Object.assign({}, map);
+        var copied = new Set([root]);
+        var dirs = new Set();
+
+        changes.forEach(function(c) {
+            var parts = c.path.replace(/\\/g, "/").split("/").filter(Boolean);
+            if (parts.length === 0) return;
+            var obj = root;
+            var id = "";
+            for (var i = 0; i < parts.length - 1; i++) {
+                id = id ? id + "/" + parts[i] : parts[i];
+                var next = isDir(obj[parts[i]]) ? obj[parts[i]] : {};
+                if (!copied.has(next)) {
+                    next = Object.assign({}, next);
+                    copied.add(next);
+                }
+                obj[parts[i]] = next;
+                obj = next;
+                dirs.add(id);
+            }
+            var name = parts[parts.length - 1];
+            id = id ? id + "/" + name : name;
+            if (!hasOwn.call(obj, name)) obj[name] = null;
+            if (!status[id]) counts[c.change] += 1;
+            status[id] = c.change;
+        });
+
+        // Deepest first, so each directory sees its entries' statuses
+        Array.from(dirs).sort(function(a, b) {
+            return b.split("/").length - a.split("/").length;
+        }).forEach(function(id) {
+            var parts = id.split("/");
+            var dir = root;
+            parts.forEach(function(part) { dir = dir[part]; });
+            status[id] = dirStatus(dir, id, status);
+        });
+        return { map: root, status: status, counts: counts };
+    }
+
+    /**
+     * diffText() - Diffs a map against a file: the name-status changes that
+     * led to it, or else an older map in any format TreeFormats reads
+     * @param {Object} map - Map of the newer state
+     * @param {string} text - File contents
+     * @returns {Object} Like compare(), plus format ("name-status" or the TreeFormats format)
+     */
+    function diffText(map, text) {
+        var changes = parseChanges(text);
+        var diff;
+        if (changes) {
+            diff = apply(map, changes);
+            diff.format = "name-status";
+        } else {
+            var parsed = TreeFormats.parse(text);
+            diff = compare(parsed.map, map);
+            diff.format = parsed.format;
+        }
+        return diff;
+    }
+
+    window.TreeDiff = {
+        compare: compare,
+        parseChanges: parseChanges,
+        apply: apply,
+        diffText: diffText,
+    };
+})();
@@ -0,0 +1,167 @@
+// ============================================================================
+// TREE FORMATS for design3
+// ============================================================================
+// Reads the hierarchies design3 can draw and normalizes them to its directory
+// map: directories are objects of their entries, files are null or a scalar
+// (a size, a version...). Recognized inputs:
+//   map          - that structure already (directory_map.json, map.js)
+//   tree -J      - the JSON output of `tree -J` (sizes with -s)
+//   package-lock - npm's package-lock.json, as its installed dependency tree
+//   path list    - plain text, one path per line ("dir/" marks an empty directory)
+(function() {
+
+    /**
+     * parse() - Detects the format of a file's text and converts it
+     * @param {string} text - File contents
+     * @returns {Object} { format: name from the list above, map }
+     * @throws {Error} When JSON is not one of the recognized shapes
+     */
+    function parse(text) {
+        text = text.replace(/^\uFEFF/, "");
+        var data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Not JSON: a list of paths
+            return { format: "path list", map: fromPathList(text) };
+        }
+
+        if (Array.isArray(data)) {
+            if (data.some(isTreeEntry)) {
+                return { format: "tree -J", map: fromTreeJson(data) };
+            }
+            throw new Error("Unrecognized format: expected a directory map, tree -J output, a package-lock.json or a path list");
+        }
+        if (data !== null && typeof data === "object") {
+            if (typeof data.lockfileVersion === "number") {
+                return { format: "package-lock", map: fromPackageLock(data) };
+            }
+            return { format: "map", map: data };
+        }
+        // A one-line path list can happen to be valid JSON ("README", 42)
+        return { format: "path list", map: fromPathList(text) };
+    }
+
+    /**
+     * Ensures obj[key] is a directory object, turning a file entry into one
+     * when a later path goes through it
+     */
+    function directory(obj, key) {
+        if (obj[key] === null || typeof obj[key] !== "object") obj[key] = {};
+        return obj[key];
+    }
+
+    // ========================================================================
+    // tree -J
+    // ========================================================================
+
+    function isTreeEntry(entry) {
+        return entry !== null && typeof entry === "object" && (entry.type === "directory" || entry.type === "file");
+    }
+
+    /**
+     * Converts `tree -J` output: [{ type, name, contents?, size? }, ..., { type: "report" }].
+     * A single top-level directory (the usual `tree -J <dir>`) becomes the
+     * map's root, like map.js output; several keep their names.
+     */
+    function fromTreeJson(entries) {
+        var roots = entries.filter(isTreeEntry);
+        function convert(entries) {
+            var out = {};
+            entries.forEach(function(entry) {
+                if (!entry || typeof entry.name !== "string") return;
+                if (entry.type === "directory") {
+                    out[entry.name] = convert(entry.contents || []);
+                } else if (entry.type !== "report") {
+                    out[entry.name] = typeof entry.size === "number" ? entry.size : null;
+                }
+            });
+            return out;
+        }
+        if (roots.length === 1 && roots[0].type === "directory") {
+            return convert(roots[0].contents || []);
+        }
+        return convert(roots);
+    }
+
+    // ========================================================================
+    // Path lists
+    // ========================================================================
+
+    /**
+     * Converts one path per line (as from `find .` or `git ls-files`).
+     * Leading "./" and "/" are dropped, backslashes count as slashes, and a
+     * path another one goes through is a directory.
+     */
+    function fromPathList(text) {
+        var map = {};
+        text.split(/\r?\n/).forEach(function(line) {
+            var path = line.trim().replace(/\\/g, "/").replace(/^(\.\/|\/)+/, "");
+            var isDir = /\/$/.test(path);
+            var parts = path.split("/").filter(function(part) { return part && part !== "."; });
+            if (parts.length === 0) return;
+
+            var obj = map;
+            parts.forEach(function(part, i) {
+                if (i < parts.length - 1 || isDir) {
+                    obj = directory(obj, part);
+                } else if (!Object.prototype.hasOwnProperty.call(obj, part)) {
+                    obj[part] = null;
+                }
+            });
+        });
+        return map;
+    }
+
+    // ========================================================================
+    // package-lock.json
+    // ========================================================================
+
+    /**
+     * Converts a package-lock.json to its installed dependency tree under the
+     * project's name: packages nest where npm nests them, scoped names split
+     * into scope and package, and packages without nested dependencies are
+     * leaves holding their version ("link" for workspace links).
+     * Reads "packages" (lockfile v2 and v3) or else "dependencies" (v1).
+     */
+    function fromPackageLock(lock) {
+        var deps = {};
+        if (lock.packages) {
+            Object.keys(lock.packages).sort().forEach(function(key) {
+                if (!key) return;
+                var info = lock.packages[key] || {};
+                var parts = key.replace(/^node_modules\//, "").split("/node_modules/").join("/").split("/");
+                var obj = deps;
+                parts.forEach(function(part, i) {
+                    if (i < parts.length - 1) {
+                        obj = directory(obj, part);
+                    } else if (!Object.prototype.hasOwnProperty.call(obj, part)) {
+                        obj[part] = info.link ? "link" : info.version || null;
+                    }
+                });
+            });
+        } else if (lock.dependencies) {
+            var convert = function(dependencies) {
+                var out = {};
+                Object.keys(dependencies).forEach(function(name) {
+                    var info = dependencies[name] || {};
+                    var parts = name.split("/");
+                    var obj = out;
+                    for (var i = 0; i < parts.length - 1; i++) obj = directory(obj, parts[i]);
+                    var last = parts[parts.length - 1];
+                    obj[last] = info.dependencies ? convert(info.dependencies) : info.version || null;
+                });
+                return out;
+            };
+            deps = convert(lock.dependencies);
+        }
+
+        var map = {};
+        map[lock.name || (lock.packages && lock.packages[""] && lock.packages[""].name) || "package"] = deps;
+        return map;
+    }
+
+    window.TreeFormats = {
+        parse: parse,
+    };
+})();
@@ -1,334 +1,735 @@
-// ============================================================================
-// GLOBAL STATE VARIABLES
-// ============================================================================
-
-/** The parsed JSON directory map structure */
-var DirectoryMap = null;
-
-/** Array of all tree nodes with layout positions (x, y) and metadata */
-var TreeNodes = [];
-
-/** Array of edges connecting parent to child nodes: { from: nodeId, to: nodeId } */
-var TreeEdges = [];
-
-/** Bounding box for the tree layout in normalized coordinates (0-1) */
-var LayoutBounds = { xMin: 0, xMax: 1, yMin: 0, yMax: 1 };
-
-/** Current loading state: "loading" | "parsing" | "ready" | "error" */
-var LoadStatus = "loading";
-
-/** Maximum number of nodes to render (prevents UI freeze on huge trees) */
-var MaxNodes = 10000;
-
-/** Maximum number of nodes to render (prevents UI freeze on huge trees) */
-var MaxLevels = 1000;
-
-/** Message to display if tree was truncated (null if not truncated) */
-var TruncatedMessage = null;
-
-/**
- * MakePoster() - Builds the tree visualization from DirectoryMap
- * 
- * This function:
- * 1. Walks the directory structure to create nodes and edges
- * 2. Builds parent-child relationships
- * 3. Calculates layout positions (x, y) for each node
- * 4. Normalizes coordinates to fit the canvas
- * 
- * Called once after DirectoryMap is loaded.
- */
-function MakePoster() {
-    // Reset state
-    TreeNodes = [];
-    TreeEdges = [];
-    TruncatedMessage = null;
-    if (!DirectoryMap) return;
-
-    // ========================================================================
-    // STEP 1: Parse directory structure into nodes and edges
-    // ========================================================================
-    var nodeList = [];
-    var edgeList = [];
-    var nodeCount = 0;
-    
-    /**
-     * Recursively walks the directory tree structure
-     * @param {Object} obj - Current directory object from JSON
-     * @param {string|null} parentId - ID of parent node (null for root)
+(function() {
+    // ============================================================================
+    // DESIGN STATE VARIABLES
+    // ============================================================================
+
+    /** The parsed JSON directory map structure, when it is parsed on the page rather than in Loader */
+    var DirectoryMap = null;
+
+    /** Background worker (tree.worker.js) holding the map and building trees; null without workers, as in headless rendering */
+    var Loader = null;
+
+    /** Id of the newest build asked of Loader; replies to older ones are dropped */
+    var buildId = 0;
+
+    /** Id of the newest compare; replies to older ones, or to one since cleared, are dropped */
+    var compareId = 0;
+
+    /** What Loader is doing: { text, fraction (0-1, or null when unknown) }, or null when idle */
+    var Progress = null;
+
+    /** False while a build's nodes are still arriving */
+    var TreeComplete = true;
+
+    /** Array of all tree nodes with layout positions (x, y) and metadata */
+    var TreeNodes = [];
+
+    /** Array of edges connecting parent to child nodes: { from: nodeId, to: nodeId } */
+    var TreeEdges = [];
+
+    /** Bounding box for the tree layout in normalized coordinates (0-1) */
+    var LayoutBounds = { xMin: 0, xMax: 1, yMin: 0, yMax: 1, zMin: 0, zMax: 0 };
+
+    /** Point the orbit camera turns around, and the radius of a sphere about it holding every node */
+    var LayoutCenter = { x: 0.5, y: 0.5, z: 0 };
+    var LayoutRadius = 0.5;
+
+    /** True when every node lies in the z = 0 plane (all layouts except random 3D) */
+    var LayoutFlat = false;
+
+    /** True when the tree is a diff: nodes carry a change and both sides' placements (see tree.js) */
+    var LayoutDiff = false;
+
+    /** Current loading state: "loading" | "parsing" | "ready" | "error" | "cancelled" */
+    var LoadStatus = "loading";
+
+    /** Message to display if directories were folded to fit the budget (null if none) */
+    var TruncatedMessage = null;
+
+    /** Directory ids the user collapsed, and ids the user expanded past the budget */
+    var Collapsed = new Set();
+    var Expanded = new Set();
+
+    /** Id of the directory the layout is rooted at (null for the whole map) */
+    var FocusId = null;
+
+    /**
+     * Shared inputs from the last projection:
+     * { maxDepth, lightDir, yaw, pitch, fit, scale, offsetX, offsetY, order }.
+     * fit is the projected box mapped onto the poster, kept from the first
+     * projection of a layout so orbiting does not rescale the view; world =
+     * offset + projected * scale. order lists the nodes in draw order.
+     */
+    var Projection = { maxDepth: 0, lightDir: { x: 0, y: 0, z: -1 }, yaw: 0, pitch: 0, fit: null, order: [] };
+
+    /** The projected tree as shapes (see MakeScene in main.js); null until Scene() builds it again */
+    var TreeScene = null;
+
+    /** Smallest radius a node is drawn at, in screen pixels, so the tiniest stay visible and pickable */
+    var MinRadius = 2;
+
+    /** Subtle rim stroke around every node, for separation */
+    var NodeRim = { stroke: "rgba(0,0,0,0.45)", lineWidth: pixels(0.6) };
+
+    /** Orbit camera angles in radians; autoRotate adds a turn every RotatePeriod of animation time */
+    var Orbit = { yaw: 0, pitch: 0, autoRotate: false };
+
+    /** Seconds of animation time per auto-rotate turn */
+    var RotatePeriod = 20;
+
+    /** Radians of orbit per screen pixel dragged */
+    var RotateSpeed = 0.01;
+
+    /** Direction toward the light in view space: a headlight above and left of the eye */
+    var HeadLight = (function() {
+        var l = { x: -0.3, y: -0.4, z: -1 };
+        var len = Math.hypot(l.x, l.y, l.z);
+        return { x: l.x / len, y: l.y / len, z: l.z / len };
+    })();
+
+    /** Layout algorithm: "random" (3D radial) or a key of TreeLayouts (layouts.js) */
+    var LayoutName = "random";
+
+    /** How edges are drawn: "none" | "straight" | "curved" | "bundled" */
+    var EdgeStyle = "straight";
+
+    /** Node under the pointer (null when none) */
+    var HoveredNode = null;
+
+    /** Clicked node, highlighted with its ancestors and subtree; its id survives relayouts */
+    var SelectedNode = null;
+    var SelectedId = null;
+
+    /**
+     * What node size and color show: size "depth" (shrinking level by level)
+     * or "size" (bytes, or file count, beneath); color "depth" or "type"
+     * (file extension)
+     */
+    var Encoding = { size: "size", color: "type" };
+
+    /** What node sizes count: "bytes" when the map's leaves carry sizes, else "files" */
+    var SizeUnit = "files";
+
+    /** File extensions given their own palette color, heaviest first; the rest are "other" */
+    var TypeColors = {};
+    var TypeOrder = [];
+
+    /** Categorical palette for the heaviest extensions (Tableau 10) */
+    var TypePalette = [
+        { r: 78, g: 121, b: 167 }, { r: 242, g: 142, b: 43 }, { r: 225, g: 87, b: 89 },
+        { r: 118, g: 183, b: 178 }, { r: 89, g: 161, b: 79 }, { r: 237, g: 201, b: 72 },
+        { r: 176, g: 122, b: 161 }, { r: 255, g: 157, b: 167 }, { r: 156, g: 117, b: 95 },
+        { r: 186, g: 176, b: 172 },
+    ];
+    var OtherColor = { r: 110, g: 110, b: 110 };
+    var DirColor = { r: 70, g: 82, b: 104 };
+
+    /** Search box: query text, how it matches ("substring", "glob" or "regex"), and whether to hide non-matching paths */
+    var Search = { query: "", mode: "substring", filter: false };
+
+    /**
+     * Matches for the current query under the walk root: hits (ids in tree
+     * order), the hit last navigated to, and the query's error (an invalid
+     * regex) if any
+     */
+    var SearchResult = { active: false, hits: [], currentId: null, error: null };
+
+    /** Hit to glide the camera to once the build that opens it finishes (null when none) */
+    var GlideToId = null;
+
+    /** Pending search box edit (null when idle) */
+    var searchTimer = null;
+
+    /** Nodes by id, from the last MakePoster */
+    var NodeById = {};
+
+    /** Where the tree comes from: { name, url }, or { name, file } for a dropped file (null until first shown) */
+    var Source = null;
+
+    /** The tree shipped with design3, used unless ?src= names another */
+    var DefaultSource = { name: "directory_map.json", url: "/design3/directory_map.json" };
+
+    /** Format TreeFormats (formats.js) recognized in Source, and why the last load failed */
+    var SourceFormat = null;
+    var LoadError = null;
+
+    /** Pending $.ajax or FileReader load (null when idle) */
+    var activeRequest = null;
+
+    /** What the tree is compared with, like Source: an older map or a git diff --name-status list (null when not comparing) */
+    var CompareSource = null;
+
+    /**
+     * The loaded comparison: { format, counts of added, removed and modified
+     * files }, plus the merged map and statuses from TreeDiff (diff.js) when
+     * it was made on the page rather than in Loader. null until loaded.
+     */
+    var Comparison = null;
+
+    /** Why CompareSource failed to load (null when it did not) */
+    var CompareError = null;
+
+    /** Pending read of CompareSource on the page (null when idle) */
+    var compareRequest = null;
+
+    /** Side of a diff to show: "before", "after" or "morph" (back and forth) */
+    var DiffView = "morph";
+
+    /** Seconds of animation time per morph there and back; RotatePeriod is a multiple, so both loop together */
+    var DiffPeriod = 5;
+
+    /** Colors of changed nodes, and of the rest, when color shows the change */
+    var ChangeColors = {
+        added: { r: 89, g: 161, b: 79 },
+        removed: { r: 225, g: 87, b: 89 },
+        modified: { r: 237, g: 201, b: 72 },
+    };
+    var UnchangedColor = { r: 90, g: 96, b: 110 };
+
+    /**
+     * MakePoster() - Builds the tree visualization for the current options
+     * 
+     * TreeBuilder (tree.js) walks the map, lays the nodes out and measures
+     * them. With a Loader the build runs in the worker and its nodes arrive
+     * in chunks (see onLoaderMessage); otherwise it runs here, at once.
+     */
+    function MakePoster() {
+        HoveredNode = null;
+        if (Loader) {
+            requestBuild();
+            return;
+        }
+        startTree(null);
+        if (!DirectoryMap) return;
+        var options = buildOptions();
+        options.diff = Comparison ? Comparison.status : null;
+        var tree = TreeBuilder.build(Comparison ? Comparison.map : DirectoryMap, options, Random);
+        startTree(tree);
+        addNodes(tree.nodes);
+        finishTree();
+    }
+
+    /**
+     * Options for TreeBuilder.build() from the design's state
+     */
+    function buildOptions() {
+        return {
+            focusId: FocusId,
+            collapsed: Collapsed,
+            expanded: Expanded,
+            search: { query: Search.query, mode: Search.mode, filter: Search.filter },
+            sizeBy: Encoding.size,
+            layoutName: LayoutName,
+            growth: { baseRadius: Params.baseRadius, radiusScale: Params.radiusScale, distanceScale: Params.distanceScale },
+        };
+    }
+
+    /**
+     * requestBuild() - Asks Loader for a tree, superseding any build still
+     * running; the current tree stays up until the new one starts arriving
+     */
+    function requestBuild() {
+        if (LoadStatus !== "ready") return;
+        buildId += 1;
+        var options = buildOptions();
+        options.diff = !!Comparison;
+        Loader.postMessage({ type: "build", id: buildId, seed: Seed, options: options });
+        setProgress({ text: "Laying out…", fraction: null });
+    }
+
+    /**
+     * startTree() - Takes a build's summary (null for none) and clears the
+     * nodes, ready for addNodes()
+     */
+    function startTree(tree) {
+        TreeNodes = [];
+        TreeEdges = [];
+        NodeById = {};
+        TruncatedMessage = null;
+        TreeScene = null;
+        Projection.fit = null;
+        Projection.order = [];
+        SelectedNode = null;
+        TreeComplete = !tree;
+        LayoutDiff = false;
+        if (!tree) return;
+
+        FocusId = tree.focusId;
+        SizeUnit = tree.sizeUnit;
+        TypeOrder = tree.typeOrder;
+        TypeColors = {};
+        TypeOrder.forEach(function(ext, i) { TypeColors[ext] = TypePalette[i]; });
+        SearchResult.active = tree.search.active;
+        SearchResult.hits = tree.search.hits;
+        SearchResult.error = tree.search.error;
+        if (SearchResult.hits.indexOf(SearchResult.currentId) < 0) SearchResult.currentId = null;
+        TruncatedMessage = tree.folded ? tree.folded + " directories folded to stay under " + TreeBuilder.maxNodes +
+            " nodes; click one twice to expand it" : null;
+        if (tree.bounds) {
+            LayoutBounds = tree.bounds;
+            LayoutCenter = tree.center;
+            LayoutRadius = tree.radius;
+            LayoutFlat = tree.flat;
+        }
+        LayoutDiff = tree.diff;
+    }
+
+    /**
+     * addNodes() - Adds built nodes, parents before children, linking each
+     * to its parent by parentId, and projects what has arrived so far
+     */
+    function addNodes(nodes) {
+        nodes.forEach(function(n) {
+            n.children = [];
+            n.parent = n.parentId ? NodeById[n.parentId] || null : null;
+            if (n.parent) {
+                n.parent.children.push(n);
+                TreeEdges.push({ from: n.parent.id, to: n.id });
+            }
+            NodeById[n.id] = n;
+            TreeNodes.push(n);
+        });
+        projectNodes(yawAt(time), Orbit.pitch, morphAt(time));
+    }
+
+    /**
+     * finishTree() - Fits the whole tree, restores the selection when its
+     * node still exists and glides to a search hit the build opened
+     */
+    function finishTree() {
+        TreeComplete = true;
+        Projection.fit = null;
+        projectNodes(yawAt(time), Orbit.pitch, morphAt(time));
+        selectNode(SelectedId ? NodeById[SelectedId] : null);
+        ShowBreadcrumbs();
+        ShowSearchStatus();
+
+        var glide = GlideToId ? NodeById[GlideToId] : null;
+        GlideToId = null;
+        if (glide) AnimateCamera(worldBox(glide), 0.4, 600);
+    }
+
+    /**
+     * Formats a node size in SizeUnit: "1.5 MB" or "12 files"
+     */
+    function formatSize(size) {
+        if (SizeUnit === "files") return size + (size === 1 ? " file" : " files");
+        return formatBytes(size);
+    }
+
+    /**
+     * Formats a byte count: "512 B", "1.5 MB"
+     */
+    function formatBytes(size) {
+        var units = ["B", "KB", "MB", "GB", "TB"];
+        var i = 0;
+        while (size >= 1024 && i < units.length - 1) {
+            size /= 1024;
+            i += 1;
+        }
+        return (i === 0 ? size : size.toFixed(size < 10 ? 1 : 0)) + " " + units[i];
+    }
+
+    /**
+     * Converts normalized coordinates (0-1) to world coordinates
+     * Accounts for layout bounds; the camera is applied by the context transform
+     * 
+     * @param {number} x - Normalized x coordinate (0-1)
+     * @param {number} y - Normalized y coordinate (0-1)
+     * @returns {Object} World coordinates: { x: worldX, y: worldY }
+     */
+    function toWorld(x, y) {
+        // Layout bounds range
+        var bx = LayoutBounds.xMax - LayoutBounds.xMin || 1;
+        var by = LayoutBounds.yMax - LayoutBounds.yMin || 1;
+
+        // Convert normalized to world coordinates spanning the poster
+        var wx = (x - LayoutBounds.xMin) / bx * CanvasWidth;
+        var wy = (y - LayoutBounds.yMin) / by * CanvasHeight;
+        return { x: wx, y: wy };
+    }
+
+    /**
+     * Maps tree depth to RGB color for gradient visualization
+     * Creates a gradient: blue (root) -> purple -> red (deepest level)
+     * 
      * @param {number} depth - Current depth level (0 = root)
-     * @param {string} path - Full path string for this node
-     */
-    function walk(obj, parentId, depth, path) {
-        if (nodeCount >= MaxNodes) return;
-        if (depth >= MaxLevels) return;
-        var keys = Object.keys(obj);
-        keys.forEach(function (key, index) {
-            if (nodeCount >= MaxNodes) return;
-            var id = path ? path + "/" + key : key;
-            var val = obj[key];
-            var isDir = val !== null && typeof val === "object";
-            nodeList.push({
-                id: id,
-                name: key,
-                type: isDir ? "dir" : "file",
-                depth: depth,
-                indexInParent: index,
-                siblingCount: keys.length,
+     * @param {number} maxDepth - Maximum depth in the tree
+     * @param {number} jitter - Per-node hue offset chosen in MakePoster (0-0.1)
+     * @returns {Object} RGB color: { r: 0-255, g: 0-255, b: 0-255 }
+     */
+    function depthToColor(depth, maxDepth, jitter) {    
+        let t = depth / (maxDepth || 1);
+        let l = 255;
+        let k = jitter || 0;
+
+        let r = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + k))));
+        let g = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + 1/4 + k))));
+        let b = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + 2/4 + k))));
+
+        return { r: r, g: g, b: b };
+    }
+
+    /**
+     * Base color of a node under the current Encoding: its depth color, its
+     * extension's palette color (directories share one dark slate), or the
+     * color of its change in a diff
+     */
+    function nodeColor(n, maxDepth) {
+        if (Encoding.color === "change") return ChangeColors[n.change] || UnchangedColor;
+        if (Encoding.color === "type") {
+            if (n.type === "dir") return DirColor;
+            return TypeColors[n.ext] || OtherColor;
+        }
+        return depthToColor(n.depth, maxDepth, n.colorJitter);
+    }
+
+    /**
+     * projectNodes() - Projects TreeNodes onto the poster and sorts them for drawing
+     * 
+     * Views the layout from the orbit camera: nodes are turned about
+     * LayoutCenter by yaw (about the vertical axis) then pitch (about the
+     * horizontal axis) into view coordinates (viewX, viewY, viewZ), with the
+     * eye on the view axis at Params.focal * LayoutRadius. The focal param's
+     * minimum, 1.2, is above 1, so the eye stays outside the layout's sphere
+     * and no node ever passes behind it. Perspective divides by viewZ to give
+     * projected coordinates (projX, projY, projRadius), centered on the view
+     * axis, which are mapped to world coordinates (worldX, worldY,
+     * worldRadius). Nodes are depth-sorted into Projection.order, and the
+     * scene is dropped so Scene() builds it again from the new positions.
+     * 
+     * A diff's nodes are first placed between their before and after sides.
+     * 
+     * Called after every layout and whenever the orbit angles, the morph or
+     * the focal length change.
+     * 
+     * @param {number} yaw - Turn about the vertical axis in radians
+     * @param {number} pitch - Tilt about the horizontal axis in radians
+     * @param {number} morph - For a diff, 0 for its before side to 1 for its after side
+     */
+    function projectNodes(yaw, pitch, morph) {
+        TreeScene = null;
+        Projection.yaw = yaw;
+        Projection.pitch = pitch;
+        Projection.morph = morph;
+        Projection.focal = Params.focal;
+        if (TreeNodes.length === 0) return;
+        if (LayoutDiff) placeBetween(morph);
+
+        // Find max depth for color calculation
+        var maxDepth = 0;
+        TreeNodes.forEach(function (n) { maxDepth = Math.max(maxDepth, n.depth); });
+
+        // View matrix rows for pitch * yaw, and the eye distance (also the
+        // focal length, so the plane through LayoutCenter keeps its size).
+        // Params.focal is in layout radii; nearer eyes exaggerate depth.
+        var cy = Math.cos(yaw), sy = Math.sin(yaw);
+        var cp = Math.cos(pitch), sp = Math.sin(pitch);
+        var eye = Params.focal * LayoutRadius;
+
+        function toView(x, y, z) {
+            x -= LayoutCenter.x;
+            y -= LayoutCenter.y;
+            z -= LayoutCenter.z;
+            var zYaw = -sy * x + cy * z;
+            return {
+                x: cy * x + sy * z,
+                y: cp * y - sp * zYaw,
+                z: eye + sp * y + cp * zYaw,
+            };
+        }
+
+        // Project nodes to 2D coordinates (projX, projY) and projRadius;
+        // treemap cells project their four corners
+        TreeNodes.forEach(function(n){
+            var z = n.z || 0;
+            var v = toView(n.x, n.y, z);
+            var s = eye / v.z;
+            n.viewX = v.x;
+            n.viewY = v.y;
+            n.viewZ = v.z;
+            n.projX = v.x * s;
+            n.projY = v.y * s;
+            n.projRadius = (n.radius || 0) * s;
+            if (n.shape === "rect") {
+                n.projCorners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(function(c) {
+                    var cv = toView(n.x + c[0] * n.w / 2, n.y + c[1] * n.h / 2, z);
+                    return { x: cv.x * eye / cv.z, y: cv.y * eye / cv.z };
+                });
+            }
+        });
+
+        // Fit the first projection of a layout onto the poster, then keep
+        // that fit while orbiting. While nodes are still arriving, and for
+        // diffs, which move, fit the corners of the layout's box instead, so
+        // the view holds still as the tree fills in or morphs.
+        if (!Projection.fit) {
+            var fit = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity };
+            var boxes = TreeComplete && !LayoutDiff ? TreeNodes.map(projectedBox) : [0, 1, 2, 3, 4, 5, 6, 7].map(function(i) {
+                var b = LayoutBounds;
+                var v = toView(i & 1 ? b.xMax : b.xMin, i & 2 ? b.yMax : b.yMin, i & 4 ? b.zMax : b.zMin);
+                var px = v.x * eye / v.z, py = v.y * eye / v.z;
+                return { xMin: px, xMax: px, yMin: py, yMax: py };
             });
-            nodeCount += 1;
-            if (parentId) edgeList.push({ from: parentId, to: id });
-            if (isDir) walk(val, id, depth + 1, id);
+            boxes.forEach(function(box){
+                fit.xMin = Math.min(fit.xMin, box.xMin);
+                fit.xMax = Math.max(fit.xMax, box.xMax);
+                fit.yMin = Math.min(fit.yMin, box.yMin);
+                fit.yMax = Math.max(fit.yMax, box.yMax);
+            });
+            var pmargin = 0.03 * Math.max(fit.xMax - fit.xMin, fit.yMax - fit.yMin);
+            fit.xMin -= pmargin; fit.xMax += pmargin; fit.yMin -= pmargin; fit.yMax += pmargin;
+            Projection.fit = fit;
+        }
+
+        // One uniform scale, so turning the layout never stretches it
+        var f = Projection.fit;
+        var scale = Math.min(CanvasWidth / Math.max(1e-6, f.xMax - f.xMin),
+                             CanvasHeight / Math.max(1e-6, f.yMax - f.yMin));
+        var offsetX = CanvasWidth / 2 - (f.xMin + f.xMax) / 2 * scale;
+        var offsetY = CanvasHeight / 2 - (f.yMin + f.yMax) / 2 * scale;
+        Projection.scale = scale;
+        Projection.offsetX = offsetX;
+        Projection.offsetY = offsetY;
+
+        // Depth-sort: farthest first. Flat layouts nest shapes in one plane,
+        // so they keep the parents-first order of the walk instead.
+        var nodesSorted = LayoutFlat ? TreeNodes :
+            TreeNodes.slice().sort(function(a,b){ return b.viewZ - a.viewZ; });
+
+        nodesSorted.forEach(function(n){
+            n.worldX = offsetX + n.projX * scale;
+            n.worldY = offsetY + n.projY * scale;
+            n.worldRadius = (n.projRadius || 0.005) * scale;
+            if (n.shape === "rect") {
+                n.worldCorners = n.projCorners.map(function(c) {
+                    return { x: offsetX + c.x * scale, y: offsetY + c.y * scale };
+                });
+            }
+        });
+        Projection.order = nodesSorted;
+
+        // Bundled edges leave the parent toward the middle of its children
+        TreeNodes.forEach(function(n) {
+            if (n.children.length === 0) return;
+            var cx = 0, cy = 0;
+            n.children.forEach(function(c) { cx += c.worldX; cy += c.worldY; });
+            n.childCenterX = cx / n.children.length;
+            n.childCenterY = cy / n.children.length;
         });
+
+        // The light rides with the camera
+        Projection.maxDepth = maxDepth;
+        Projection.lightDir = HeadLight;
     }
-    // Start walking from root
-    walk(DirectoryMap, null, 0, "");
-
-    if (nodeList.length === 0) return;
-
-    // ========================================================================
-    // STEP 2: Build parent-child relationships
-    // ========================================================================
-    var nodeById = {};
-    // Initialize children arrays and create lookup map
-    nodeList.forEach(function (n) {
-        n.children = [];
-        nodeById[n.id] = n;
-    });
-    // Populate children arrays from edge list
-    edgeList.forEach(function (e) {
-        nodeById[e.from].children.push(nodeById[e.to]);
-    });
-
-    // ========================================================================
-    // STEP 3: Radial layout parameters
-    // ========================================================================
-    var maxDepth = 0;
-    nodeList.forEach(function (n) { maxDepth = Math.max(maxDepth, n.depth); });
-
-    // Node radius (sphere size) scales with depth
-    const baseRadius = 0.08;  // root node size (normalized)
-    const radiusScale = 0.65; // child radius = parent radius * radiusScale
-    const distanceScale = 2.5; // distance between parent and child = (parentRadius + childRadius) * distanceScale
-
-    // ========================================================================
-    // STEP 4: Layout algorithm - children radiate from parent in 3D
-    // - Root placed at center (0.5, 0.5, 0)
-    // - Each child positioned at a random direction around its parent at fixed distance
-    // - Z coordinate assigned so children occupy 3D space
-    // ========================================================================
-    function layout(children, parentX, parentY, parentZ, parentRadius) {
-        if (!children || children.length === 0) {
-            // Leaf node: no children to position
-            return;
+
+    /**
+     * placeBetween() - Moves a diff's nodes part way from their before side
+     * to their after side, and hides nodes missing from the side shown
+     * @param {number} morph - 0 (before) to 1 (after)
+     */
+    function placeBetween(morph) {
+        TreeNodes.forEach(function(n) {
+            n.x = n.x0 + (n.x1 - n.x0) * morph;
+            n.y = n.y0 + (n.y1 - n.y0) * morph;
+            n.z = (n.z0 || 0) + ((n.z1 || 0) - (n.z0 || 0)) * morph;
+            n.radius = n.radius0 + (n.radius1 - n.radius0) * morph;
+            if (n.shape === "rect") {
+                n.w = n.w0 + (n.w1 - n.w0) * morph;
+                n.h = n.h0 + (n.h1 - n.h0) * morph;
+            }
+            n.hidden = (morph === 0 && n.change === "added") || (morph === 1 && n.change === "removed");
+        });
+    }
+
+    /**
+     * How far a diff is shown from its before side (0) to its after side (1)
+     * at an animation time. Morphing holds each side for a moment, then
+     * eases to the other.
+     * @param {number} time - Animation time in seconds
+     */
+    function morphAt(time) {
+        if (!LayoutDiff || DiffView === "after") return 1;
+        if (DiffView === "before") return 0;
+        var phase = (((time || 0) % DiffPeriod) + DiffPeriod) % DiffPeriod / DiffPeriod;
+        var u = Math.min(1, Math.max(0, ((1 - Math.abs(2 * phase - 1)) - 0.2) / 0.6));
+        return u * u * (3 - 2 * u);
+    }
+
+    /**
+     * Projected bounding box of a node: its circle, or its four corners
+     */
+    function projectedBox(n) {
+        if (n.shape === "rect") {
+            var xs = n.projCorners.map(function(c) { return c.x; });
+            var ys = n.projCorners.map(function(c) { return c.y; });
+            return {
+                xMin: Math.min.apply(null, xs), xMax: Math.max.apply(null, xs),
+                yMin: Math.min.apply(null, ys), yMax: Math.max.apply(null, ys),
+            };
         }
+        return {
+            xMin: n.projX - n.projRadius, xMax: n.projX + n.projRadius,
+            yMin: n.projY - n.projRadius, yMax: n.projY + n.projRadius,
+        };
+    }
 
-        // Place children at random directions around the parent, keeping a constant distance
-        children.forEach(function(child) {
-            // First, set child's radius so we know it when calculating distance
-            child.radius = parentRadius * radiusScale;
+    /**
+     * World bounding box of a projected node, as drawn
+     */
+    function worldBox(n) {
+        var box = projectedBox(n);
+        return {
+            xMin: Projection.offsetX + box.xMin * Projection.scale,
+            yMin: Projection.offsetY + box.yMin * Projection.scale,
+            xMax: Projection.offsetX + box.xMax * Projection.scale,
+            yMax: Projection.offsetY + box.yMax * Projection.scale,
+        };
+    }
 
-            // Constant distance for siblings from parent center
-            var distanceToChild = (parentRadius + child.radius) * distanceScale;
+    /**
+     * Orbit yaw at an animation time: the dragged angle plus the auto-rotate turn
+     * @param {number} time - Animation time in seconds
+     */
+    function yawAt(time) {
+        return Orbit.yaw + (Orbit.autoRotate ? 2 * Math.PI * (time || 0) / RotatePeriod : 0);
+    }
 
-            // Random spherical distribution: random direction around parent in 3D
-            var phi = Math.acos(2 * Math.random() - 1);  // random polar angle (0 to π)
-            var theta = Math.random() * 2 * Math.PI;     // random azimuthal angle (0 to 2π)
+    /**
+     * Rotate() - Orbits the camera by a pointer drag in screen pixels
+     * Dragging sideways turns the layout, dragging up and down tilts it.
+     */
+    function Rotate(dx, dy) {
+        Orbit.yaw += dx * RotateSpeed;
+        Orbit.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, Orbit.pitch - dy * RotateSpeed));
+    }
 
-            // Convert spherical to Cartesian coordinates relative to parent
-            var dx = Math.cos(theta) * Math.sin(phi) * distanceToChild;
-            var dy = Math.sin(theta) * Math.sin(phi) * distanceToChild;
-            var dz = Math.cos(phi) * distanceToChild;
+    /**
+     * LoopLength() - One auto-rotate turn, or one morph of a diff when the
+     * layout holds still, so recordings loop seamlessly
+     */
+    function LoopLength() {
+        return LayoutDiff && DiffView === "morph" && !Orbit.autoRotate ? DiffPeriod : RotatePeriod;
+    }
 
-            // Absolute position
-            child.x = parentX + dx;
-            child.y = parentY + dy;
-            child.z = parentZ + dz;
+    /**
+     * Scene() - The tree as shapes at an animation time
+     * 
+     * Re-projects the nodes first when the orbit angles, a diff's morph or
+     * the focal length changed, and builds the shapes again after any
+     * projection or change to what they show.
+     * 
+     * @param {number} time - Animation time in seconds
+     * @returns {Object} Scene from MakeScene (main.js)
+     */
+    function Scene(time) {
+        var yaw = yawAt(time);
+        var morph = morphAt(time);
+        // A new focal length changes the projection's size, so fit it afresh
+        var refit = Params.focal !== Projection.focal;
+        if (refit) Projection.fit = null;
+        if (refit || yaw !== Projection.yaw || Orbit.pitch !== Projection.pitch || morph !== Projection.morph) {
+            projectNodes(yaw, Orbit.pitch, morph);
+        }
+        if (!TreeScene) TreeScene = buildScene();
+        return TreeScene;
+    }
 
-            // Recursively layout children
-            layout(child.children, child.x, child.y, child.z, child.radius);
+    /**
+     * buildScene() - Turns the projected tree into shapes, back to front:
+     * 1. Background
+     * 2. Edges (lines connecting parent to child), then the edges along the
+     *    selection over them
+     * 3. Nodes, farthest first: shaded spheres or treemap quads, faded
+     *    outside the selection or search. Each is a group carrying its
+     *    node, with a white ring when collapsed and, in a diff, a ring in
+     *    its change's color; removed nodes are drawn faint.
+     * 
+     * Strokes and the smallest node radius are sized in screen pixels
+     * through style functions (see StyleValue in main.js).
+     */
+    function buildScene() {
+        var shapes = [{ type: "rect", x: 0, y: 0, w: CanvasWidth, h: CanvasHeight, fill: "black" }];
+
+        if (EdgeStyle !== "none") {
+            var edges = [];
+            TreeEdges.forEach(function(e) {
+                var parent = NodeById[e.from], child = NodeById[e.to];
+                if (!child.hidden) edges.push({ parent: parent, child: child });
+            });
+            var dimmed = SelectedNode || SearchResult.active;
+            var edgeStyle = {
+                stroke: dimmed ? "rgba(255,255,255,0.1)" : "rgba(255,255,255,0.35)",
+                lineWidth: pixels(0.75),
+                lineCap: "round",
+            };
+            edges.forEach(function(e) {
+                shapes.push(edgeShape(e.parent, e.child, edgeStyle));
+            });
+
+            // Edges along the selected node's ancestors and subtree stand out
+            if (SelectedNode) {
+                var selectedStyle = { stroke: "rgba(255,255,255,0.85)", lineWidth: pixels(1.5), lineCap: "round" };
+                edges.forEach(function(e) {
+                    if (e.parent.highlight && e.child.highlight) {
+                        shapes.push(edgeShape(e.parent, e.child, selectedStyle));
+                    }
+                });
+            }
+        }
+
+        Projection.order.forEach(function(n) {
+            if (n.hidden) return;
+            // With a selection or a search, everything outside it fades back
+            var faded = (SelectedNode && !n.highlight) || (SearchResult.active && !n.match);
+            var children = [nodeBody(n)];
+            if (n.collapsed) children.push(nodeOutline(n, "rgba(255,255,255,0.8)", 1));
+            if (n.change) children.push(nodeOutline(n, rgb(ChangeColors[n.change]), 1.5));
+            shapes.push({
+                type: "group",
+                node: n,
+                alpha: faded ? 0.2 : n.change === "removed" ? 0.45 : 1,
+                children: children,
+            });
         });
+
+        return MakeScene(shapes, scale / 16);
     }
 
-    // Layout starting at root-level nodes
-    var roots = nodeList.filter(function (n) { return n.depth === 0; });
-    roots.forEach(function(root) {
-        root.x = 0.5;
-        root.y = 0.5;
-        root.z = 0;
-        root.radius = baseRadius;
-        layout(root.children, root.x, root.y, root.z, root.radius);
-    });
-
-    // ========================================================================
-    // STEP 5: Compute bounds for normalized coordinates
-    // ========================================================================
-    var xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
-    nodeList.forEach(function(n) {
-        var r = n.radius || 0;
-        xMin = Math.min(xMin, n.x - r);
-        xMax = Math.max(xMax, n.x + r);
-        yMin = Math.min(yMin, n.y - r);
-        yMax = Math.max(yMax, n.y + r);
-    });
-
-    // Add small margin so nodes/edges don't touch canvas edges
-    var margin = 0.05;
-    LayoutBounds = { xMin: xMin - margin, xMax: xMax + margin, yMin: yMin - margin, yMax: yMax + margin };
-
-    // Store results
-    TreeNodes = nodeList;
-    TreeEdges = edgeList;
-    TruncatedMessage = nodeCount >= MaxNodes ? "Showing first " + MaxNodes + " nodes" : null;
-}
-
-/**
- * Converts normalized coordinates (0-1) to screen pixel coordinates
- * Accounts for camera zoom and pan, and layout bounds
- * 
- * @param {number} x - Normalized x coordinate (0-1)
- * @param {number} y - Normalized y coordinate (0-1)
- * @returns {Object} Screen coordinates: { x: pixelX, y: pixelY }
- */
-function toScreen(x, y) {
-    // Canvas dimensions adjusted for zoom
-    var w = CanvasWidth / Camera.z;
-    var h = CanvasHeight / Camera.z;
-    
-    // Layout bounds range
-    var bx = LayoutBounds.xMax - LayoutBounds.xMin || 1;
-    var by = LayoutBounds.yMax - LayoutBounds.yMin || 1;
-    
-    // Convert normalized to screen coordinates
-    var sx = (-Camera.x) + (x - LayoutBounds.xMin) / bx * w;
-    var sy = (-Camera.y) + (y - LayoutBounds.yMin) / by * h;
-    return { x: sx, y: sy };
-}
-
-/**
- * Maps tree depth to RGB color for gradient visualization
- * Creates a gradient: blue (root) -> purple -> red (deepest level)
- * 
- * @param {number} depth - Current depth level (0 = root)
- * @param {number} maxDepth - Maximum depth in the tree
- * @returns {Object} RGB color: { r: 0-255, g: 0-255, b: 0-255 }
- */
-function depthToColor(depth, maxDepth) {    
-    let t = depth / (maxDepth || 1);
-    let l = 255;
-    let k = Math.random()*.1;
-    
-    let r = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + k))));
-    let g = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + 1/4 + k))));
-    let b = Math.floor(l*(0.5 + 0.5*Math.sin(2*Math.PI*(t + 2/4 + k))));
-    
-    return { r: r, g: g, b: b };
-}
-
-/**
- * Render() - Draws the tree visualization
- * 
- * Called on each frame/camera update. Renders:
- * 1. Background
- * 2. Loading/error messages (if applicable)
- * 3. Edges (lines connecting parent to child)
- * 4. Nodes (colored dots)
- * 5. Truncation message (if tree was capped)
- */
-function Render() {
-    // Draw dark blue background
-    BackContextHandle.fillStyle = "black"; //"#1a1a2e";
-    BackContextHandle.fillRect(-Camera.x, -Camera.y, CanvasWidth / Camera.z, CanvasHeight / Camera.z);
-
-    // Show loading/parsing/error message if tree not ready
-    if (TreeNodes.length === 0) {
-        BackContextHandle.fillStyle = "#eee";
-        BackContextHandle.font = "16px sans-serif";
-        BackContextHandle.textAlign = "center";
-        var msg = LoadStatus === "parsing" ? "Parsing directory_map.json…" : 
-                  LoadStatus === "error" ? "Failed to load directory_map.json" : 
-                  "Loading directory_map.json…";
-        BackContextHandle.fillText(msg, CanvasWidth / Camera.z / 2 - Camera.x, CanvasHeight / Camera.z / 2 - Camera.y);
-        return;
-    }
-
-    // Build node lookup map for edge rendering
-    var nodeById = {};
-    TreeNodes.forEach(function (n) { nodeById[n.id] = n; });
-    
-    // Find max depth for color calculation
-    var maxDepth = 0;
-    TreeNodes.forEach(function (n) { maxDepth = Math.max(maxDepth, n.depth); });
-
-    // Set rendering styles
-    BackContextHandle.lineCap = "round";
-    BackContextHandle.lineJoin = "round";
-
-    // ========================================================================
-    // Render nodes in 3D: project using perspective, depth-sort, and draw
-    // ========================================================================
-    var focal = 1.2; // perspective focal length
-
-    // Project nodes to 2D normalized coordinates (projX, projY) and projRadius
-    TreeNodes.forEach(function(n){
-        var z = (typeof n.z === 'number') ? n.z : 0;
-        var s = focal / (focal + z);
-        n.projX = 0.5 + (n.x - 0.5) * s;
-        n.projY = 0.5 + (n.y - 0.5) * s;
-        n.projRadius = (n.radius || 0) * s;
-        n._projScale = s;
-    });
-
-    // Compute projected bounds so we can map to screen
-    var pxMin = Infinity, pxMax = -Infinity, pyMin = Infinity, pyMax = -Infinity;
-    TreeNodes.forEach(function(n){
-        pxMin = Math.min(pxMin, n.projX - (n.projRadius||0));
-        pxMax = Math.max(pxMax, n.projX + (n.projRadius||0));
-        pyMin = Math.min(pyMin, n.projY - (n.projRadius||0));
-        pyMax = Math.max(pyMax, n.projY + (n.projRadius||0));
-    });
-    var pmargin = 0.03;
-    pxMin -= pmargin; pxMax += pmargin; pyMin -= pmargin; pyMax += pmargin;
-
-    // local toScreen for projected normalized coords
-    function projToScreen(px, py){
-        var wv = CanvasWidth / Camera.z;
-        var hv = CanvasHeight / Camera.z;
-        var bxx = Math.max(1e-6, pxMax - pxMin);
-        var byy = Math.max(1e-6, pyMax - pyMin);
-        var sx = (-Camera.x) + (px - pxMin) / bxx * wv;
-        var sy = (-Camera.y) + (py - pyMin) / byy * hv;
-        return { x: sx, y: sy };
-    }
-
-    // Pixel scale for radii
-    var scale = (CanvasWidth/Camera.z) / Math.max(1e-6, pxMax - pxMin);
-
-    // Depth-sort by z: farthest first (larger z considered farther)
-    var nodesSorted = TreeNodes.slice().sort(function(a,b){ return (b.z||0) - (a.z||0); });
-
-    // Directional light coming from the camera toward the layout center
-    var centerX = (LayoutBounds.xMin + LayoutBounds.xMax) / 2;
-    var centerY = (LayoutBounds.yMin + LayoutBounds.yMax) / 2;
-    var centerZ = 0;
-    // Place virtual camera slightly behind the projection plane at -focal
-    var camX = centerX;
-    var camY = centerY;
-    var camZ = -focal;
-    var lightDir = { x: centerX - camX, y: centerY - camY, z: centerZ - camZ };
-    var llen = Math.hypot(lightDir.x, lightDir.y, lightDir.z) || 1;
-    lightDir.x /= llen; lightDir.y /= llen; lightDir.z /= llen;
-
-    nodesSorted.forEach(function(n){
-        var p = projToScreen(n.projX, n.projY);
-        var radiusPx = Math.max(2, (n.projRadius || 0.005) * scale);
-        var color = depthToColor(n.depth, maxDepth);
-
-        // Compute a simple normal toward the camera for the sphere center
-        var vx = 0.5 - (n.x || 0.5);
-        var vy = 0.5 - (n.y || 0.5);
-        var vz = 0 - (n.z || 0); // camera assumed near z=0 looking toward +z
-        var vlen = Math.hypot(vx, vy, vz) || 1;
-        var nx = vx / vlen, ny = vy / vlen, nz = vz / vlen;
+    /**
+     * nodeBody() - The shape of a projected node
+     * 
+     * Treemap cells are flat quads, rectangles until the layout is turned.
+     * Other nodes are spheres lit by Projection.lightDir, with a highlight
+     * toward the light and a darker rim.
+     */
+    function nodeBody(n) {
+        var color = nodeColor(n, Projection.maxDepth);
+        if (n.shape === "rect") {
+            return Object.assign({ type: "polygon", points: n.worldCorners, fill: rgb(color), lineJoin: "round" }, NodeRim);
+        }
+
+        var radius = nodeRadius(n);
+        return Object.assign({
+            type: "circle",
+            x: n.worldX,
+            y: n.worldY,
+            r: radius,
+            fill: function(time, pixel) {
+                return sphereFill(n, color, radius(time, pixel), pixel);
+            },
+        }, NodeRim);
+    }
+
+    /**
+     * sphereFill() - Shades a sphere node of the given color and drawn
+     * radius, as a radial gradient from a highlight toward the light
+     */
+    function sphereFill(n, color, radius, pixel) {
+        // The sphere's visible center faces the eye (the view-space origin)
+        var lightDir = Projection.lightDir;
+        var vlen = Math.hypot(n.viewX, n.viewY, n.viewZ) || 1;
+        var nx = -n.viewX / vlen, ny = -n.viewY / vlen, nz = -n.viewZ / vlen;
 
         // Diffuse lighting (Lambertian)
         var diffuse = Math.max(0, nx * lightDir.x + ny * lightDir.y + nz * lightDir.z);
@@ -341,90 +742,992 @@ function Render() {
         var sb = Math.min(255, Math.max(0, Math.floor(color.b * intensity)));
 
         // Radial gradient highlight positioned toward the light direction
-        var highlightFactor = 0.2;
-        var hx = p.x + lightDir.x * radiusPx * highlightFactor;
-        var hy = p.y + lightDir.y * radiusPx * highlightFactor;
-        var innerR = Math.max(1, radiusPx * 0.12);
-
-        if (radiusPx > 1) {
-            try {
-                var grad = BackContextHandle.createRadialGradient(hx, hy, innerR, p.x, p.y, radiusPx);
+        var highlightFactor = 0.5;
+        return {
+            type: "radial",
+            x0: n.worldX + lightDir.x * radius * highlightFactor,
+            y0: n.worldY + lightDir.y * radius * highlightFactor,
+            r0: Math.max(pixel, radius * 0.12),
+            x1: n.worldX,
+            y1: n.worldY,
+            r1: radius,
+            stops: [
                 // brighter specular-ish center
-                var hr = Math.min(255, sr + 48);
-                var hg = Math.min(255, sg + 48);
-                var hb = Math.min(255, sb + 48);
-                grad.addColorStop(0, "rgba(" + hr + "," + hg + "," + hb + ",1)");
+                [0, "rgb(" + Math.min(255, sr + 48) + "," + Math.min(255, sg + 48) + "," + Math.min(255, sb + 48) + ")"],
                 // mid tone
-                grad.addColorStop(0.6, "rgba(" + sr + "," + sg + "," + sb + ",1)");
+                [0.6, "rgb(" + sr + "," + sg + "," + sb + ")"],
                 // darker rim
-                grad.addColorStop(1, "rgba(" + Math.floor(sr * 0.32) + "," + Math.floor(sg * 0.32) + "," + Math.floor(sb * 0.32) + ",1)");
-                BackContextHandle.fillStyle = grad;
-            } catch (e) {
-                // Fallback in case gradient creation fails for any reason
-                BackContextHandle.fillStyle = "rgb(" + sr + "," + sg + "," + sb + ")";
+                [1, "rgb(" + Math.floor(sr * 0.32) + "," + Math.floor(sg * 0.32) + "," + Math.floor(sb * 0.32) + ")"],
+            ],
+        };
+    }
+
+    /**
+     * nodeOutline() - A ring around a node as drawn: its quad, or its circle
+     * @param {Object} n - Projected node
+     * @param {string} stroke - CSS color
+     * @param {number} width - Line width in screen pixels
+     */
+    function nodeOutline(n, stroke, width) {
+        var shape = n.shape === "rect" ? { type: "polygon", points: n.worldCorners, lineJoin: "round" } :
+            { type: "circle", x: n.worldX, y: n.worldY, r: nodeRadius(n) };
+        return Object.assign(shape, { stroke: stroke, lineWidth: pixels(width) });
+    }
+
+    /**
+     * Radius of a node's circle as a style function: its projected radius,
+     * but never under MinRadius screen pixels
+     */
+    function nodeRadius(n) {
+        return function(time, pixel) {
+            return Math.max(MinRadius * pixel, n.worldRadius);
+        };
+    }
+
+    /**
+     * A size of some screen pixels as a style function, so it holds at every zoom
+     * @param {number} count - Screen pixels
+     */
+    function pixels(count) {
+        return function(time, pixel) {
+            return count * pixel;
+        };
+    }
+
+    /**
+     * CSS color of an { r, g, b } color
+     */
+    function rgb(c) {
+        return "rgb(" + c.r + "," + c.g + "," + c.b + ")";
+    }
+
+    /**
+     * Render() - Draws what sits over the scene
+     * 
+     * Called on each frame/camera update, after Scene(). Renders:
+     * 1. Loading/error messages (if applicable)
+     * 2. Outlines of the selected and hovered nodes and the current search hit
+     * 3. Legend for the size and color encoding
+     * 4. Truncation message (if tree was capped)
+     */
+    function Render(time) {
+        // Show loading/parsing/error message if tree not ready
+        if (TreeNodes.length === 0) {
+            BackContextHandle.fillStyle = "#eee";
+            BackContextHandle.font = (16 / Camera.zoom) + "px sans-serif";
+            BackContextHandle.textAlign = "center";
+            var name = Source ? Source.name : DefaultSource.name;
+            var msg = LoadStatus === "error" ? "Failed to load " + name + (LoadError ? ": " + LoadError : "") :
+                      LoadStatus === "cancelled" ? "Loading cancelled" :
+                      Progress ? Progress.text :
+                      LoadStatus === "parsing" ? "Parsing " + name + "…" :
+                      LoadStatus === "ready" ? "Nothing to show" :
+                      "Loading " + name + "…";
+            var center = ScreenToWorld(CenterX, CenterY);
+            BackContextHandle.fillText(msg, center.x, center.y);
+
+            // Progress bar under the message when the total is known
+            if (Progress && Progress.fraction !== null) {
+                var barWidth = 200 / Camera.zoom, barHeight = 4 / Camera.zoom;
+                var barTop = center.y + 12 / Camera.zoom;
+                BackContextHandle.fillStyle = "rgba(255,255,255,0.2)";
+                BackContextHandle.fillRect(center.x - barWidth / 2, barTop, barWidth, barHeight);
+                BackContextHandle.fillStyle = "#eee";
+                BackContextHandle.fillRect(center.x - barWidth / 2, barTop, barWidth * Progress.fraction, barHeight);
             }
+            return;
+        }
+
+        // One screen pixel in world units, for sizes that should not zoom
+        var onePx = 1 / Camera.zoom;
+
+        // Outline the selected and hovered nodes, and the current search hit, on top
+        var current = SearchResult.currentId ? NodeById[SearchResult.currentId] : null;
+        [SelectedNode, HoveredNode, current].forEach(function(n, i) {
+            if (!n) return;
+            DrawShape(BackContextHandle, nodeOutline(n, i === 2 ? "#ffd23f" : "white", i === 1 ? 1.5 : 2), time, onePx);
+        });
+
+        drawLegend(onePx, Projection.maxDepth);
+
+        // ========================================================================
+        // Show truncation message if tree was capped, and build progress above it
+        // ========================================================================
+        var notes = [TruncatedMessage, Progress && Progress.text].filter(Boolean);
+        notes.forEach(function(note, i) {
+            var corner = ScreenToWorld(8, CanvasHeight - 16 - 16 * i);
+            BackContextHandle.fillStyle = "rgba(255,255,255,0.8)";
+            BackContextHandle.font = (12 / Camera.zoom) + "px sans-serif";
+            BackContextHandle.textAlign = "left";
+            BackContextHandle.fillText(note, corner.x, corner.y);
+        });
+    }
+
+    /**
+     * drawLegend() - Keys the encoding in the poster's top-left corner: one
+     * swatch per color (extensions and directories, changes, or a few
+     * depths) and a line saying what node size shows
+     */
+    function drawLegend(onePx, maxDepth) {
+        var rows = [];
+        if (Encoding.color === "change") {
+            ["added", "removed", "modified"].forEach(function(change) {
+                rows.push({ color: ChangeColors[change], label: change });
+            });
+            rows.push({ color: UnchangedColor, label: "unchanged" });
+        } else if (Encoding.color === "type") {
+            TypeOrder.forEach(function(ext) {
+                rows.push({ color: TypeColors[ext], label: ext ? "." + ext : "no extension" });
+            });
+            rows.push({ color: OtherColor, label: "other files" });
+            rows.push({ color: DirColor, label: "directory" });
         } else {
-            BackContextHandle.fillStyle = "rgb(" + sr + "," + sg + "," + sb + ")";
-        }
-
-        BackContextHandle.beginPath();
-        BackContextHandle.arc(p.x, p.y, radiusPx, 0, Math.PI*2);
-        BackContextHandle.fill();
-
-        // subtle rim stroke for separation
-        BackContextHandle.strokeStyle = "rgba(0,0,0,0.45)";
-        BackContextHandle.lineWidth = 0.6;
-        BackContextHandle.beginPath();
-        BackContextHandle.arc(p.x, p.y, radiusPx, 0, Math.PI*2);
-        BackContextHandle.stroke();
-    });
-    
-    // ========================================================================
-    // Show truncation message if tree was capped
-    // ========================================================================
-    // if (TruncatedMessage) {
-    //     BackContextHandle.fillStyle = "rgba(255,255,255,0.8)";
-    //     BackContextHandle.font = (12 / Camera.z) + "px sans-serif";
-    //     BackContextHandle.textAlign = "left";
-    //     BackContextHandle.fillText(TruncatedMessage, -Camera.x + 8, -Camera.y + CanvasHeight / Camera.z - 16);
-    // }
-}
-
-// ============================================================================
-// INITIALIZATION: Load directory_map.json when page is ready
-// ============================================================================
-$(function () {
-    // references main.js
-    ratioX = 2;
-    Init();
-
-    $.ajax({
-        url: "design3/directory_map.json",
-        dataType: "text",
-        timeout: 0,  // No timeout (handles large files)
-        success: function (text) {
-            // Show "Parsing..." message
-            LoadStatus = "parsing";
+            var steps = Math.min(maxDepth, 5);
+            for (var i = 0; i <= steps; i++) {
+                var depth = Math.round(i * maxDepth / (steps || 1));
+                rows.push({ color: depthToColor(depth, maxDepth, 0), label: "depth " + depth });
+            }
+        }
+        rows.push({ label: Encoding.size === "size" ?
+            "size: " + (SizeUnit === "bytes" ? "bytes" : "files") + " beneath" : "size: depth" });
+
+        var ctx = BackContextHandle;
+        var line = 14, swatch = 10;
+        var origin = ScreenToWorld(8, 8);
+        ctx.fillStyle = "rgba(0,0,0,0.6)";
+        ctx.fillRect(origin.x, origin.y, 130 * onePx, (rows.length * line + 8) * onePx);
+        ctx.font = (11 * onePx) + "px sans-serif";
+        ctx.textAlign = "left";
+        rows.forEach(function(row, i) {
+            var x = origin.x + 6 * onePx;
+            var y = origin.y + (6 + i * line) * onePx;
+            if (row.color) {
+                ctx.fillStyle = "rgb(" + row.color.r + "," + row.color.g + "," + row.color.b + ")";
+                ctx.fillRect(x, y, swatch * onePx, swatch * onePx);
+            }
+            ctx.fillStyle = "rgba(255,255,255,0.85)";
+            ctx.fillText(row.label, x + (row.color ? swatch + 5 : 0) * onePx, y + 9 * onePx);
+        });
+    }
+
+    // ============================================================================
+    // PICKING: Hover tooltip, click to select, node inspector
+    // ============================================================================
+
+    /**
+     * pickNode() - Finds the topmost node drawn under a canvas point: the
+     * node of the scene shape there (see ShapeAt in main.js)
+     * 
+     * @param {Object} point - Canvas pixel position { x, y }
+     * @returns {Object|null} The node, or null over edges and empty space
+     */
+    function pickNode(point) {
+        if (TreeNodes.length === 0) return null;
+        var shape = ShapeAt(point);
+        return shape && shape.node || null;
+    }
+
+    /**
+     * selectNode() - Selects a node (or clears with null), marking it, its
+     * ancestors and its subtree with `highlight`, and fills the info panel
+     */
+    function selectNode(node) {
+        TreeScene = null;
+        SelectedNode = node || null;
+        SelectedId = SelectedNode ? SelectedNode.id : null;
+        TreeNodes.forEach(function(n) { n.highlight = false; });
+        if (SelectedNode) {
+            for (var a = SelectedNode.parent; a; a = a.parent) a.highlight = true;
+            var stack = [SelectedNode];
+            while (stack.length) {
+                var n = stack.pop();
+                n.highlight = true;
+                stack.push.apply(stack, n.children);
+            }
+        }
+        ShowInfo();
+    }
+
+    /**
+     * ShowInfo() - Describes the selected node in #design-info: path, type,
+     * depth, direct children (dirs / files) and everything below it
+     */
+    function ShowInfo() {
+        var $info = $('#design-info').empty();
+        var n = SelectedNode;
+        if (!n) return;
+
+        var dirs = 0, files = 0, descendants = 0, deepest = n.depth;
+        n.children.forEach(function(c) {
+            if (c.type === "dir") dirs += 1; else files += 1;
+        });
+        var stack = n.children.slice();
+        while (stack.length) {
+            var d = stack.pop();
+            descendants += 1;
+            deepest = Math.max(deepest, d.depth);
+            stack.push.apply(stack, d.children);
+        }
+
+        var rows = [
+            ["Path", n.id],
+            ["Type", n.type === "dir" ? "Directory" : "File"],
+            ["Depth", String(n.depth)],
+            ["Size", formatSize(n.size)],
+        ];
+        if (LayoutDiff) rows.push(["Change", n.change || "unchanged"]);
+        if (n.collapsed) {
+            rows.push(["Children", n.entryCount + " (collapsed)"]);
+        } else if (n.type === "dir") {
+            rows.push(["Children", n.children.length + " (" + dirs + " directories, " + files + " files)"]);
+            rows.push(["Descendants", descendants + ", " + (deepest - n.depth) + " levels deep"]);
+        }
+        rows.forEach(function(row) {
+            $info.append($('<div>').append($('<b>').text(row[0] + ": "), document.createTextNode(row[1])));
+        });
+        if (TruncatedMessage && !n.collapsed) {
+            $info.append($('<div>').text("Counts cover shown nodes only; folded directories are not counted"));
+        }
+
+        if (n.type === "dir" && n.entryCount > 0) {
+            var $actions = $('<div>').append(
+                $('<button type="button">').text(n.collapsed ? "Expand" : "Collapse").on('click', function() {
+                    toggleCollapsed(n);
+                })
+            );
+            if (n.id !== FocusId) {
+                $actions.append(" ", $('<button type="button">').text("Focus").on('click', function() {
+                    focusOn(n.id);
+                }));
+            }
+            $info.append($actions);
+        }
+    }
+
+    /**
+     * toggleCollapsed() - Expands a collapsed directory or collapses an open one
+     */
+    function toggleCollapsed(n) {
+        if (n.collapsed) {
+            Collapsed.delete(n.id);
+            Expanded.add(n.id);
+        } else {
+            Collapsed.add(n.id);
+            Expanded.delete(n.id);
+        }
+        RebuildPoster();
+    }
+
+    /**
+     * focusOn() - Re-roots the layout at a directory (null for the whole map)
+     * and frames it
+     */
+    function focusOn(id) {
+        FocusId = id;
+        if (id) Collapsed.delete(id);
+        ResetCamera();
+        RebuildPoster();
+    }
+
+    /**
+     * ShowBreadcrumbs() - Links from the whole map down to the focused
+     * directory in #design-breadcrumbs; each link focuses that level
+     */
+    function ShowBreadcrumbs() {
+        var $crumbs = $('#design-breadcrumbs').empty();
+        if (LoadStatus !== "ready") return;
+
+        var crumbs = [{ title: Source.name + (SourceFormat && SourceFormat !== "map" ? " (" + SourceFormat + ")" : ""), id: null }];
+        if (FocusId) {
+            var parts = FocusId.split("/");
+            parts.forEach(function(part, i) {
+                crumbs.push({ title: part, id: parts.slice(0, i + 1).join("/") });
+            });
+        }
+        crumbs.forEach(function(crumb, i) {
+            if (i > 0) $crumbs.append(" / ");
+            if (i === crumbs.length - 1) {
+                $crumbs.append($('<b>').text(crumb.title));
+                return;
+            }
+            $crumbs.append($('<a href="#">').text(crumb.title).on('click', function() {
+                focusOn(crumb.id);
+                return false;
+            }));
+        });
+    }
+
+    /**
+     * Hover() - Tracks the node under the pointer and shows its path in
+     * #design-tooltip beside the cursor. point is null when the pointer leaves.
+     */
+    function Hover(point) {
+        var node = pickNode(point);
+        var $tooltip = $('#design-tooltip');
+        if (node) {
+            var offset = $('#canvas').offset();
+            var label = node.id + (node.change ? " (" + node.change + ")" : "");
+            $tooltip.text(label)
+                .css({ left: offset.left + point.x + 12, top: offset.top + point.y + 12 })
+                .show();
+        } else {
+            $tooltip.hide();
+        }
+        if (node !== HoveredNode) {
+            HoveredNode = node;
             UpdateRender();
-            
-            // Parse JSON off main thread to avoid blocking UI
-            setTimeout(function () {
-                try {
-                    DirectoryMap = JSON.parse(text);
-                    MakePoster();  // Build tree structure
-                    LoadStatus = "ready";
-                    UpdateRender();
-                } catch (e) {
-                    console.error("Failed to parse directory_map.json", e);
-                    LoadStatus = "error";
-                    UpdateRender();
+        }
+    }
+
+    /**
+     * Click() - Selects the node under the pointer; empty space clears.
+     * Clicking the selected directory again collapses or expands it.
+     */
+    function Click(point) {
+        var node = pickNode(point);
+        if (node && node === SelectedNode && node.type === "dir" && node.entryCount > 0) {
+            toggleCollapsed(node);
+            return;
+        }
+        selectNode(node);
+        UpdateRender();
+    }
+
+    /**
+     * edgeShape() - One parent-child edge as a shape with the given style
+     *
+     * - straight: a line between the centers
+     * - curved:   an S-curve leaving and entering vertically
+     * - bundled:  a curve pulled toward the middle of the parent's children,
+     *             so sibling edges share a trunk before fanning out
+     */
+    function edgeShape(parent, child, style) {
+        var x0 = parent.worldX, y0 = parent.worldY;
+        var x1 = child.worldX, y1 = child.worldY;
+        var shape = { type: "line" };
+        if (EdgeStyle === "curved") {
+            var my = (y0 + y1) / 2;
+            shape = { type: "curve", cx1: x0, cy1: my, cx2: x1, cy2: my };
+        } else if (EdgeStyle === "bundled") {
+            var bundle = 0.6;
+            var bx = x0 + (parent.childCenterX - x0) * bundle;
+            var by = y0 + (parent.childCenterY - y0) * bundle;
+            // The quadratic curve through (bx, by), written as a cubic
+            shape = { type: "curve", cx1: x0 + (bx - x0) * 2 / 3, cy1: y0 + (by - y0) * 2 / 3,
+                                     cx2: x1 + (bx - x1) * 2 / 3, cy2: y1 + (by - y1) * 2 / 3 };
+        }
+        return Object.assign(shape, { x1: x0, y1: y0, x2: x1, y2: y1 }, style);
+    }
+
+    // ============================================================================
+    // SEARCH: Match node names and paths, dim or filter the rest, step through hits
+    // ============================================================================
+
+    /**
+     * stepSearch() - Moves to the next (+1) or previous (-1) hit, opening
+     * folded or collapsed directories above it, and glides the camera to it
+     */
+    function stepSearch(step) {
+        var hits = SearchResult.hits;
+        if (hits.length === 0) return;
+        var index = hits.indexOf(SearchResult.currentId);
+        index = index < 0 ? (step > 0 ? 0 : hits.length - 1) : (index + step + hits.length) % hits.length;
+        var id = hits[index];
+        SearchResult.currentId = id;
+
+        ShowSearchStatus();
+        if (NodeById[id]) {
+            if (TreeComplete) {
+                AnimateCamera(worldBox(NodeById[id]), 0.4, 600);
+            } else {
+                GlideToId = id;
+            }
+            return;
+        }
+
+        // Open the hit's directories; the glide waits for the new tree
+        var parts = id.split("/");
+        for (var i = 1; i < parts.length; i++) {
+            var dir = parts.slice(0, i).join("/");
+            Collapsed.delete(dir);
+            Expanded.add(dir);
+        }
+        GlideToId = id;
+        RebuildPoster();
+    }
+
+    /**
+     * ShowSearchStatus() - Writes the hit count, the current hit's position
+     * or the query error next to the search box
+     */
+    function ShowSearchStatus() {
+        var text = "";
+        if (SearchResult.error) {
+            text = SearchResult.error;
+        } else if (SearchResult.active) {
+            var index = SearchResult.hits.indexOf(SearchResult.currentId);
+            var count = SearchResult.hits.length;
+            text = count === 0 ? "No matches" :
+                   index < 0 ? count + (count === 1 ? " match" : " matches") :
+                   (index + 1) + " of " + count;
+        }
+        $('#design-search-status').text(text);
+    }
+
+    /**
+     * Applies a changed query, mode or filter: re-matches and rebuilds the tree
+     */
+    function updateSearch() {
+        clearTimeout(searchTimer);
+        searchTimer = null;
+        SearchResult.currentId = null;
+        RebuildPoster();
+    }
+
+    // ============================================================================
+    // OPTIONS: Layout and edge style controls, shown while design3 is active
+    // ============================================================================
+
+    /**
+     * Builds a labelled <select> for #design-options
+     * @param {string} label - Text before the menu
+     * @param {Object} choices - Option values mapped to their titles
+     * @param {string} value - Selected value
+     * @param {Function} onChange - Called with the new value
+     */
+    function optionSelect(label, choices, value, onChange) {
+        var $select = $('<select>');
+        $.each(choices, function(key, title) {
+            $select.append($('<option>').val(key).text(title));
+        });
+        $select.val(value).on('change', function() {
+            onChange($select.val());
+        });
+        return $('<label>').text(label + " ").append($select);
+    }
+
+    /**
+     * Builds a labelled checkbox for #design-options
+     * @param {string} label - Text after the box
+     * @param {boolean} checked - Initial state
+     * @param {Function} onChange - Called with the new state
+     */
+    function optionCheckbox(label, checked, onChange) {
+        var $box = $('<input type="checkbox">').prop('checked', checked).on('change', function() {
+            onChange($box.prop('checked'));
+        });
+        return $('<label>').append($box, " " + label);
+    }
+
+    function ShowOptions() {
+        var layouts = { random: "Random 3D" };
+        $.each(TreeLayouts, function(key, layout) { layouts[key] = layout.title; });
+        var colors = { type: "File type", depth: "Depth" };
+        if (Comparison) colors.change = "Change";
+
+        $('#design-options').empty().append(
+            optionSelect("Layout", layouts, LayoutName, function(value) {
+                // Lay out again from the same seed
+                LayoutName = value;
+                RebuildPoster();
+            }),
+            optionSelect("Edges", {
+                none: "None",
+                straight: "Straight",
+                curved: "Curved",
+                bundled: "Bundled",
+            }, EdgeStyle, function(value) {
+                EdgeStyle = value;
+                TreeScene = null;
+                UpdateRender();
+            }),
+            optionSelect("Size", { size: "Size", depth: "Depth" }, Encoding.size, function(value) {
+                Encoding.size = value;
+                RebuildPoster();
+            }),
+            optionSelect("Color", colors, Encoding.color, function(value) {
+                Encoding.color = value;
+                TreeScene = null;
+                UpdateRender();
+            }),
+            optionCheckbox("Auto-rotate", Orbit.autoRotate, function(checked) {
+                Orbit.autoRotate = checked;
+                if (checked && !AnimationState.playing) {
+                    PlayAnimation();
                 }
-            }, 0);
-        },
-        error: function (xhr, status, err) {
-            console.error("Failed to load directory_map.json", status, err);
-            LoadStatus = "error";
-            UpdateRender();
+                UpdateRender();
+            }),
+            $('<button type="button">').text("Front view").on('click', function() {
+                Orbit.yaw = 0;
+                Orbit.pitch = 0;
+                UpdateRender();
+            }),
+            // Typing re-matches after a pause; Enter steps forward, Shift+Enter back
+            $('<input type="search" placeholder="Search paths" size="16">').val(Search.query).on('input', function() {
+                Search.query = $(this).val();
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(updateSearch, 200);
+            }).on('keydown', function(e) {
+                if (e.which !== 13) return;
+                if (searchTimer !== null) updateSearch();
+                stepSearch(e.shiftKey ? -1 : 1);
+                return false;
+            }),
+            optionSelect("Match", {
+                substring: "Substring",
+                glob: "Glob",
+                regex: "Regex",
+            }, Search.mode, function(value) {
+                Search.mode = value;
+                updateSearch();
+            }),
+            optionCheckbox("Filter", Search.filter, function(checked) {
+                Search.filter = checked;
+                updateSearch();
+            }),
+            $('<button type="button" title="Previous match">').text("\u25C0").on('click', function() {
+                stepSearch(-1);
+            }),
+            $('<button type="button" title="Next match">').text("\u25B6").on('click', function() {
+                stepSearch(1);
+            }),
+            $('<span id="design-search-status">'),
+            $('<span id="design-compare">'),
+            $('<span id="design-load">')
+        );
+        ShowSearchStatus();
+        ShowCompare();
+        ShowProgress();
+    }
+
+    function Deactivate() {
+        clearTimeout(searchTimer);
+        searchTimer = null;
+        $('#design-options').empty();
+        $('#design-info').empty();
+        $('#design-breadcrumbs').empty();
+        $('#design-tooltip').hide();
+        HoveredNode = null;
+    }
+
+    // ============================================================================
+    // INITIALIZATION: Load the tree when the design is activated
+    // ============================================================================
+
+    /**
+     * Activate() - Shows the layout and edge controls, and loads the tree
+     * the first time design3 is shown: the file ?src= points to, or
+     * directory_map.json, compared with the file ?compare= points to if any
+     * 
+     * Later activations reuse the parsed map. Responses that arrive after
+     * switching to another design only update state, not the canvas.
+     */
+    function Activate() {
+        ShowOptions();
+        ShowInfo();
+        if (!Source) {
+            var params = new URLSearchParams(window.location.search);
+            Source = params.get("src") ? urlSource(params.get("src")) : DefaultSource;
+            if (params.get("compare")) CompareSource = urlSource(params.get("compare"));
+        }
+        ShowBreadcrumbs();
+        if (LoadStatus === "ready" || LoadStatus === "parsing" || activeRequest || Loader) return;
+        startLoad();
+    }
+
+    /**
+     * A source for a URL from the query string, named after its file
+     */
+    function urlSource(url) {
+        return { name: url.replace(/[?#].*$/, "").split("/").pop() || url, url: url };
+    }
+
+    /**
+     * Drop() - Draws a file dropped on the canvas instead of the current tree
+     */
+    function Drop(files) {
+        if (!files.length) return;
+        loadSource({ name: files[0].name, file: files[0] });
+    }
+
+    /**
+     * loadSource() - Replaces the tree with another source, forgetting
+     * the view state and comparison that belonged to the old one
+     */
+    function loadSource(source) {
+        if (Loader) Loader.terminate();
+        Loader = null;
+        if (activeRequest) activeRequest.abort();
+        activeRequest = null;
+        if (compareRequest) compareRequest.abort();
+        compareRequest = null;
+        DirectoryMap = null;
+        Source = source;
+        CompareSource = null;
+        Comparison = null;
+        CompareError = null;
+        if (Encoding.color === "change") Encoding.color = "type";
+        ShowOptions();
+        Collapsed.clear();
+        Expanded.clear();
+        FocusId = null;
+        SelectedId = null;
+        SearchResult.currentId = null;
+        GlideToId = null;
+        startTree(null);
+        selectNode(null);
+        ResetCamera();
+        startLoad();
+        ShowBreadcrumbs();
+        refresh();
+    }
+
+    /** Redraws when design3 is the design on screen */
+    function refresh() {
+        if (ActiveDesign === design) UpdateRender();
+    }
+
+    /**
+     * setProgress() - Updates the progress shown on the canvas and beside
+     * the controls (null when idle)
+     */
+    function setProgress(progress) {
+        Progress = progress;
+        ShowProgress();
+        refresh();
+    }
+
+    /**
+     * ShowProgress() - Fills #design-load: the progress with a Cancel
+     * button while Loader works, or a Retry button after a failed or
+     * cancelled load
+     */
+    function ShowProgress() {
+        var $load = $('#design-load').empty();
+        if (Progress) {
+            $load.append(document.createTextNode(Progress.text + " "),
+                $('<button type="button">').text("Cancel").on('click', cancelLoader));
+        } else if (LoadStatus === "error" || LoadStatus === "cancelled") {
+            $load.append($('<button type="button">').text("Retry").on('click', startLoad));
+        }
+    }
+
+    /**
+     * startLoad() - Loads Source in Loader where workers exist, or on the
+     * page with $.ajax (or a FileReader for a dropped file)
+     */
+    function startLoad() {
+        LoadStatus = "loading";
+        LoadError = null;
+        SourceFormat = null;
+        if (typeof Worker === "function") {
+            Loader = new Worker("/design3/tree.worker.js");
+            Loader.onmessage = onLoaderMessage;
+            Loader.onerror = function(e) {
+                console.error("design3 worker failed", e.message);
+                LoadError = e.message;
+                stopLoader("error");
+            };
+            Loader.postMessage({ type: "load", url: Source.url, file: Source.file });
+            setProgress({ text: "Loading " + Source.name + "…", fraction: null });
+            return;
+        }
+
+        activeRequest = readSource(Source, function (text) {
+            activeRequest = null;
+            parseSource(text);
+        }, function (message) {
+            activeRequest = null;
+            failLoad(message);
+        });
+    }
+
+    /**
+     * readSource() - Reads a source's text on the page: a dropped file with
+     * a FileReader, or a URL with $.ajax. Neither callback runs once the
+     * read is aborted.
+     * @returns {Object} The pending read, with abort()
+     */
+    function readSource(source, onText, onError) {
+        if (source.file) {
+            var reader = new FileReader();
+            reader.onload = function () { onText(reader.result); };
+            reader.onerror = function () { onError(reader.error && reader.error.message); };
+            reader.readAsText(source.file);
+            return reader;
+        }
+
+        return $.ajax({
+            url: source.url,
+            dataType: "text",
+            timeout: 0,  // No timeout (handles large files)
+            success: function (text) {
+                onText(text);
+            },
+            error: function (xhr, status, err) {
+                if (status === "abort") return;
+                onError(err || status);
+            }
+        });
+    }
+
+    /**
+     * parseSource() - Normalizes a loaded source with TreeFormats and builds
+     * the tree, on the page (when there is no Loader)
+     */
+    function parseSource(text) {
+        // Show "Parsing..." message
+        LoadStatus = "parsing";
+        refresh();
+
+        // Let the message draw before parsing
+        var source = Source;
+        setTimeout(function () {
+            // Another source was dropped meanwhile
+            if (source !== Source) return;
+            try {
+                var parsed = TreeFormats.parse(text);
+                DirectoryMap = parsed.map;
+                SourceFormat = parsed.format;
+                LoadStatus = "ready";
+                // Build tree structure with the current seed
+                if (ActiveDesign === design) RebuildPoster();
+            } catch (e) {
+                failLoad(e.message);
+                return;
+            }
+            startCompare();
+        }, 0);
+    }
+
+    function failLoad(message) {
+        console.error("Failed to load " + Source.name, message);
+        LoadStatus = "error";
+        LoadError = message || null;
+        ShowProgress();
+        refresh();
+    }
+
+    // ============================================================================
+    // COMPARING: Diff the tree against an older map or a list of changes
+    // ============================================================================
+
+    /**
+     * compareWith() - Diffs the tree against another source, or stops
+     * comparing (null)
+     */
+    function compareWith(source) {
+        if (compareRequest) compareRequest.abort();
+        compareRequest = null;
+        compareId += 1;
+        if (Loader) Loader.postMessage({ type: "uncompare" });
+        var shown = !!Comparison;
+        CompareSource = source;
+        Comparison = null;
+        CompareError = null;
+        if (!source && Encoding.color === "change") Encoding.color = "type";
+        ShowOptions();
+        if (LoadStatus !== "ready") return;
+        if (shown && ActiveDesign === design) RebuildPoster();
+        startCompare();
+    }
+
+    /**
+     * startCompare() - Loads CompareSource, once the tree has loaded: in
+     * Loader, or on the page, where the diff is made too
+     */
+    function startCompare() {
+        if (!CompareSource) return;
+        if (Loader) {
+            Loader.postMessage({ type: "compare", compareId: compareId, url: CompareSource.url, file: CompareSource.file });
+            setProgress({ text: "Loading " + CompareSource.name + "…", fraction: null });
+            return;
+        }
+
+        compareRequest = readSource(CompareSource, function (text) {
+            compareRequest = null;
+            try {
+                compared(TreeDiff.diffText(DirectoryMap, text));
+            } catch (e) {
+                failCompare(e.message);
+            }
+        }, function (message) {
+            compareRequest = null;
+            failCompare(message);
+        });
+    }
+
+    /**
+     * compared() - Shows a loaded comparison, colored by change and morphing
+     * between its sides
+     * @param {Object} comparison - { format, counts }, and map and status when made on the page
+     */
+    function compared(comparison) {
+        Comparison = comparison;
+        Encoding.color = "change";
+        ShowOptions();
+        if (DiffView === "morph" && !AnimationState.playing) {
+            PlayAnimation();
+        }
+        if (ActiveDesign === design) RebuildPoster();
+    }
+
+    function failCompare(message) {
+        // Too late: the compare was cleared
+        if (!CompareSource) return;
+        console.error("Failed to load " + CompareSource.name, message);
+        CompareError = message || "unknown error";
+        ShowCompare();
+    }
+
+    /**
+     * ShowCompare() - Fills #design-compare: a button to pick the file to
+     * compare with, and while comparing, what changed, which side to show
+     * and a button to stop
+     */
+    function ShowCompare() {
+        var $compare = $('#design-compare').empty();
+        var $file = $('<input type="file" style="display: none">').on('change', function() {
+            if (this.files.length) compareWith({ name: this.files[0].name, file: this.files[0] });
+        });
+        $compare.append($file, $('<button type="button" title="An older map, or git diff --name-status output">')
+            .text("Compare…").on('click', function() { $file.click(); }));
+        if (!CompareSource) return;
+
+        var counts = Comparison && Comparison.counts;
+        $compare.append(" ", $('<span>').text(
+            CompareError ? "Failed to load " + CompareSource.name + ": " + CompareError :
+            !Comparison ? "Loading " + CompareSource.name + "…" :
+            "vs " + CompareSource.name + ": " + counts.added + " added, " + counts.removed + " removed, " +
+                counts.modified + " modified"));
+        if (Comparison) {
+            $compare.append(" ", optionSelect("Show", { before: "Before", after: "After", morph: "Morph" }, DiffView, function(value) {
+                DiffView = value;
+                if (value === "morph" && !AnimationState.playing) {
+                    PlayAnimation();
+                }
+                UpdateRender();
+            }));
+        }
+        $compare.append(" ", $('<button type="button">').text("Clear").on('click', function() {
+            compareWith(null);
+        }));
+    }
+
+    /**
+     * onLoaderMessage() - Handles Loader's replies: load progress and
+     * result, then each build's summary and node chunks. Chunks are asked
+     * for one at a time after the canvas has drawn the last, so the tree
+     * visibly grows.
+     */
+    function onLoaderMessage(e) {
+        var msg = e.data;
+        // Replies to a superseded or cancelled build, or to a compare since
+        // replaced or cleared, so CompareSource is set for those that remain
+        if (msg.id !== undefined && msg.id !== buildId) return;
+        if (msg.compareId !== undefined && msg.compareId !== compareId) return;
+        var comparing = msg.compareId !== undefined;
+
+        if (msg.type === "progress") {
+            var fraction = msg.total ? Math.min(1, msg.loaded / msg.total) : null;
+            var name = comparing ? CompareSource.name : Source.name;
+            if (msg.phase === "download") {
+                setProgress({ text: "Loading " + name + "… " + formatBytes(msg.loaded) +
+                    (fraction === null ? "" : " (" + Math.round(fraction * 100) + "%)"), fraction: fraction });
+            } else if (msg.phase === "parse") {
+                if (!comparing) LoadStatus = "parsing";
+                setProgress({ text: "Parsing " + name + "…", fraction: null });
+            } else {
+                setProgress({ text: "Laying out…", fraction: null });
+            }
+        } else if (msg.type === "loaded") {
+            LoadStatus = "ready";
+            SourceFormat = msg.format;
+            setProgress(null);
+            // Build tree structure with the current seed
+            if (ActiveDesign === design) RebuildPoster();
+            startCompare();
+        } else if (msg.type === "compared") {
+            setProgress(null);
+            compared({ format: msg.format, counts: msg.counts });
+        } else if (msg.type === "error" && comparing) {
+            setProgress(null);
+            failCompare(msg.message);
+        } else if (msg.type === "error") {
+            console.error("Failed to load " + Source.name, msg.message);
+            if (LoadStatus === "ready") {
+                setProgress(null);
+            } else {
+                LoadError = msg.message;
+                stopLoader("error");
+            }
+        } else if (msg.type === "tree") {
+            startTree(msg.tree);
+        } else if (msg.type === "nodes") {
+            addNodes(msg.nodes);
+            if (msg.done) {
+                finishTree();
+                setProgress(null);
+                return;
+            }
+            setProgress({ text: "Drawing " + TreeNodes.length + " of " + msg.total + " nodes…",
+                fraction: TreeNodes.length / msg.total });
+            window.requestAnimationFrame(function() {
+                if (Loader && msg.id === buildId) Loader.postMessage({ type: "more", id: msg.id });
+            });
         }
-    });
-});
+    }
+
+    /**
+     * cancelLoader() - Stops whatever Loader is doing. A load in progress
+     * ends the worker; a build is dropped, keeping the previous tree or the
+     * part of the new one drawn so far.
+     */
+    function cancelLoader() {
+        if (!Loader) return;
+        if (LoadStatus !== "ready") {
+            stopLoader("cancelled");
+            return;
+        }
+        buildId += 1;
+        Loader.postMessage({ type: "cancel" });
+        if (!TreeComplete) {
+            finishTree();
+            TruncatedMessage = "Drawing cancelled: " + TreeNodes.length + " nodes shown";
+        }
+        setProgress(null);
+    }
+
+    /**
+     * Ends the worker after a failed or cancelled load
+     */
+    function stopLoader(status) {
+        if (Loader) Loader.terminate();
+        Loader = null;
+        LoadStatus = status;
+        setProgress(null);
+    }
+
+    var design = {
+        name: "design3",
+        title: "Directory tree",
+        defaults: { ratioX: 2, ratioY: 2 },
+        params: {
+            baseRadius: { type: "number", label: "Root size", min: 0.01, max: 0.3, step: 0.01, default: 0.08 },
+            radiusScale: { type: "number", label: "Child scale", min: 0.3, max: 1, step: 0.01, default: 0.65 },
+            distanceScale: { type: "number", label: "Spacing", min: 1, max: 5, step: 0.1, default: 2.5 },
+            focal: { type: "number", label: "Focal length", min: 1.2, max: 8, step: 0.1, default: 2, redraw: true },
+        },
+        Activate: Activate,
+        Deactivate: Deactivate,
+        MakePoster: MakePoster,
+        Scene: Scene,
+        Render: Render,
+        Rotate: Rotate,
+        Hover: Hover,
+        Click: Click,
+        Drop: Drop,
+        LoopLength: LoopLength,
+    };
+    RegisterDesign(design);
+})();
@@ -0,0 +1,446 @@
+// ============================================================================
+// TREE LAYOUTS for design3
+// ============================================================================
+// Each layout takes the root nodes built by MakePoster() (nodes carry
+// `children` and `depth`) and assigns normalized positions to every node:
+//   x, y, z  - center (z = 0 for flat layouts)
+//   radius   - sphere radius, or
+//   w, h     - rectangle size, with shape = "rect"
+// Positions only need to be in a consistent unit; design3 fits the
+// bounding box to the poster afterwards.
+(function() {
+
+    // ========================================================================
+    // Reingold–Tilford tidy tree (Buchheim, Jünger & Leipert's linear version)
+    // ========================================================================
+
+    /**
+     * Wraps nodes with the bookkeeping fields the tidy tree walk needs
+     * @param {Object} node - Tree node (or virtual root)
+     * @param {Object|null} parent - Wrapped parent
+     * @param {number} number - 1-based index among siblings
+     */
+    function wrap(node, parent, number) {
+        var t = {
+            node: node,
+            parent: parent,
+            number: number,
+            prelim: 0,
+            mod: 0,
+            change: 0,
+            shift: 0,
+            thread: null,
+            children: [],
+        };
+        t.ancestor = t;
+        t.children = (node.children || []).map(function(child, i) { return wrap(child, t, i + 1); });
+        return t;
+    }
+
+    function nextLeft(v) {
+        return v.children.length ? v.children[0] : v.thread;
+    }
+
+    function nextRight(v) {
+        return v.children.length ? v.children[v.children.length - 1] : v.thread;
+    }
+
+    function leftSibling(v) {
+        return v.parent && v.number > 1 ? v.parent.children[v.number - 2] : null;
+    }
+
+    function moveSubtree(wm, wp, shift) {
+        var subtrees = wp.number - wm.number;
+        wp.change -= shift / subtrees;
+        wp.shift += shift;
+        wm.change += shift / subtrees;
+        wp.prelim += shift;
+        wp.mod += shift;
+    }
+
+    function executeShifts(v) {
+        var shift = 0, change = 0;
+        for (var i = v.children.length - 1; i >= 0; i--) {
+            var w = v.children[i];
+            w.prelim += shift;
+            w.mod += shift;
+            change += w.change;
+            shift += w.shift + change;
+        }
+    }
+
+    function apportion(v, defaultAncestor, distance) {
+        var w = leftSibling(v);
+        if (!w) return defaultAncestor;
+
+        var vip = v, vop = v, vim = w, vom = v.parent.children[0];
+        var sip = vip.mod, sop = vop.mod, sim = vim.mod, som = vom.mod;
+        while (nextRight(vim) && nextLeft(vip)) {
+            vim = nextRight(vim);
+            vip = nextLeft(vip);
+            vom = nextLeft(vom);
+            vop = nextRight(vop);
+            vop.ancestor = v;
+            var shift = (vim.prelim + sim) - (vip.prelim + sip) + distance;
+            if (shift > 0) {
+                var a = vim.ancestor.parent === v.parent ? vim.ancestor : defaultAncestor;
+                moveSubtree(a, v, shift);
+                sip += shift;
+                sop += shift;
+            }
+            sim += vim.mod;
+            sip += vip.mod;
+            som += vom.mod;
+            sop += vop.mod;
+        }
+        if (nextRight(vim) && !nextRight(vop)) {
+            vop.thread = nextRight(vim);
+            vop.mod += sim - sop;
+        }
+        if (nextLeft(vip) && !nextLeft(vom)) {
+            vom.thread = nextLeft(vip);
+            vom.mod += sip - som;
+            defaultAncestor = v;
+        }
+        return defaultAncestor;
+    }
+
+    function firstWalk(v, distance) {
+        var w = leftSibling(v);
+        if (v.children.length === 0) {
+            v.prelim = w ? w.prelim + distance : 0;
+            return;
+        }
+        var defaultAncestor = v.children[0];
+        v.children.forEach(function(child) {
+            firstWalk(child, distance);
+            defaultAncestor = apportion(child, defaultAncestor, distance);
+        });
+        executeShifts(v);
+        var midpoint = (v.children[0].prelim + v.children[v.children.length - 1].prelim) / 2;
+        if (w) {
+            v.prelim = w.prelim + distance;
+            v.mod = v.prelim - midpoint;
+        } else {
+            v.prelim = midpoint;
+        }
+    }
+
+    function secondWalk(v, m, visit) {
+        visit(v, v.prelim + m);
+        v.children.forEach(function(child) { secondWalk(child, m + v.mod, visit); });
+    }
+
+    /**
+     * tidyPositions() - Runs the tidy tree walk over all roots at once
+     * @returns {Object} { breadth: widest x + 1, depth: deepest level } in sibling units
+     */
+    function tidyPositions(roots) {
+        var top = wrap({ children: roots }, null, 1);
+        firstWalk(top, 1);
+        var xMin = Infinity, xMax = -Infinity, maxDepth = 0;
+        secondWalk(top, -top.prelim, function(v, x) {
+            if (v === top) return;
+            v.node.tidyX = x;
+            xMin = Math.min(xMin, x);
+            xMax = Math.max(xMax, x);
+            maxDepth = Math.max(maxDepth, v.node.depth);
+        });
+        walkNodes(roots, function(n) { n.tidyX -= xMin; });
+        return { breadth: xMax - xMin + 1, depth: maxDepth };
+    }
+
+    /**
+     * Tidy tree: depth runs down the poster, siblings never overlap and
+     * parents sit centered over their children
+     */
+    function tidy(roots) {
+        var size = tidyPositions(roots);
+        var levels = Math.max(1, size.depth);
+        walkNodes(roots, function(n) {
+            n.x = (n.tidyX + 0.5) / size.breadth;
+            n.y = n.depth / levels;
+            n.z = 0;
+            n.radius = 0.4 * Math.min(1 / size.breadth, 1 / levels);
+        });
+    }
+
+    /**
+     * Radial tree: the tidy tree wrapped around a circle, depth as rings
+     */
+    function radial(roots) {
+        var size = tidyPositions(roots);
+        var ring = 0.5 / Math.max(1, size.depth + (roots.length > 1 ? 1 : 0));
+        var offset = roots.length > 1 ? 1 : 0;
+        walkNodes(roots, function(n) {
+            var angle = 2 * Math.PI * (n.tidyX + 0.5) / size.breadth;
+            var r = (n.depth + offset) * ring;
+            n.x = 0.5 + r * Math.cos(angle);
+            n.y = 0.5 + r * Math.sin(angle);
+            n.z = 0;
+            // Room along the ring for one sibling unit, capped by ring spacing
+            var arc = r * 2 * Math.PI / size.breadth;
+            n.radius = 0.4 * (r > 0 ? Math.min(ring, arc) : ring);
+        });
+    }
+
+    // ========================================================================
+    // Circle packing (front-chain sibling packing, after Wang et al.)
+    // ========================================================================
+
+    /**
+     * Places circle c tangent to circles a and b
+     */
+    function place(b, a, c) {
+        var dx = b.x - a.x, dy = b.y - a.y, d2 = dx * dx + dy * dy;
+        if (!d2) {
+            c.x = a.x + c.r;
+            c.y = a.y;
+            return;
+        }
+        var a2 = (a.r + c.r) * (a.r + c.r);
+        var b2 = (b.r + c.r) * (b.r + c.r);
+        var x, y;
+        if (a2 > b2) {
+            x = (d2 + b2 - a2) / (2 * d2);
+            y = Math.sqrt(Math.max(0, b2 / d2 - x * x));
+            c.x = b.x - x * dx - y * dy;
+            c.y = b.y - x * dy + y * dx;
+        } else {
+            x = (d2 + a2 - b2) / (2 * d2);
+            y = Math.sqrt(Math.max(0, a2 / d2 - x * x));
+            c.x = a.x + x * dx - y * dy;
+            c.y = a.y + x * dy + y * dx;
+        }
+    }
+
+    function overlaps(a, b) {
+        var dr = a.r + b.r - 1e-6, dx = b.x - a.x, dy = b.y - a.y;
+        return dr > 0 && dr * dr > dx * dx + dy * dy;
+    }
+
+    // Distance from the origin of the weighted midpoint of a chain link
+    function score(link) {
+        var a = link.circle, b = link.next.circle, ab = a.r + b.r;
+        var dx = (a.x * b.r + b.x * a.r) / ab;
+        var dy = (a.y * b.r + b.y * a.r) / ab;
+        return dx * dx + dy * dy;
+    }
+
+    /**
+     * packSiblings() - Packs circles { r } tightly around the origin
+     *
+     * Keeps a "front chain" of the outermost circles and places each new
+     * circle tangent to the pair closest to the origin, backing off along
+     * the chain when it would overlap.
+     *
+     * @returns {number} Radius of a circle centered on the origin enclosing all
+     */
+    function packSiblings(circles) {
+        var n = circles.length;
+        if (!n) return 0;
+
+        var a = circles[0];
+        a.x = 0; a.y = 0;
+        if (n === 1) return a.r;
+
+        var b = circles[1];
+        a.x = -b.r; b.x = a.r; b.y = 0;
+        if (n > 2) {
+            place(b, a, circles[2]);
+
+            a = { circle: a }; b = { circle: b };
+            var c = { circle: circles[2] };
+            a.next = c.previous = b;
+            b.next = a.previous = c;
+            c.next = b.previous = a;
+
+            pack: for (var i = 3; i < n; i++) {
+                place(a.circle, b.circle, circles[i]);
+                c = { circle: circles[i] };
+
+                // Find the nearest chain circle the new one overlaps, if any
+                var j = b.next, k = a.previous, sj = b.circle.r, sk = a.circle.r;
+                do {
+                    if (sj <= sk) {
+                        if (overlaps(j.circle, c.circle)) {
+                            b = j; a.next = b; b.previous = a; i--;
+                            continue pack;
+                        }
+                        sj += j.circle.r; j = j.next;
+                    } else {
+                        if (overlaps(k.circle, c.circle)) {
+                            a = k; a.next = b; b.previous = a; i--;
+                            continue pack;
+                        }
+                        sk += k.circle.r; k = k.previous;
+                    }
+                } while (j !== k.next);
+
+                // Insert between a and b, then find the new pair nearest the origin
+                c.previous = a; c.next = b; a.next = b.previous = b = c;
+                var best = score(a);
+                while ((c = c.next) !== b) {
+                    var s = score(c);
+                    if (s < best) { a = c; best = s; }
+                }
+                b = a.next;
+            }
+        }
+
+        // Enclose: center on the bounding box, radius reaching the farthest circle.
+        // Slightly larger than the minimal enclosing circle, and much simpler.
+        var xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        circles.forEach(function(c) {
+            xMin = Math.min(xMin, c.x - c.r); xMax = Math.max(xMax, c.x + c.r);
+            yMin = Math.min(yMin, c.y - c.r); yMax = Math.max(yMax, c.y + c.r);
+        });
+        var cx = (xMin + xMax) / 2, cy = (yMin + yMax) / 2, r = 0;
+        circles.forEach(function(c) {
+            c.x -= cx; c.y -= cy;
+            r = Math.max(r, Math.hypot(c.x, c.y) + c.r);
+        });
+        return r;
+    }
+
+    /**
+     * Circle packing: leaves are circles, every directory encloses its children
+     * Leaf size comes from n.weight when present (default 1).
+     */
+    function pack(roots) {
+        var padding = 0.15;
+
+        // Bottom-up: radius of every node, children positioned relative to it
+        function size(n) {
+            if (!n.children || n.children.length === 0) {
+                n.packR = Math.sqrt(n.weight || 1);
+                return;
+            }
+            n.children.forEach(size);
+            var circles = n.children.map(function(c) { return { node: c, r: c.packR }; });
+            var r = packSiblings(circles);
+            circles.forEach(function(c) { c.node.packX = c.x; c.node.packY = c.y; });
+            n.packR = r + padding * Math.min.apply(null, circles.map(function(c) { return c.r; }));
+        }
+        roots.forEach(size);
+
+        var top = roots.map(function(n) { return { node: n, r: n.packR }; });
+        var total = packSiblings(top) || 1;
+
+        // Top-down: absolute positions, scaled so everything fits a unit circle
+        function place(n, x, y) {
+            n.x = 0.5 + x / total / 2;
+            n.y = 0.5 + y / total / 2;
+            n.z = 0;
+            n.radius = n.packR / total / 2;
+            (n.children || []).forEach(function(c) { place(c, x + c.packX, y + c.packY); });
+        }
+        top.forEach(function(c) { place(c.node, c.x, c.y); });
+    }
+
+    // ========================================================================
+    // Squarified treemap (Bruls, Huizing & van Wijk)
+    // ========================================================================
+
+    function worstRatio(row, length) {
+        var sum = 0, min = Infinity, max = 0;
+        row.forEach(function(item) {
+            sum += item.area;
+            min = Math.min(min, item.area);
+            max = Math.max(max, item.area);
+        });
+        var s2 = sum * sum, l2 = length * length;
+        return Math.max(l2 * max / s2, s2 / (l2 * min));
+    }
+
+    /**
+     * squarify() - Splits a rectangle among items { area } into rows that keep
+     * cells as close to square as possible. Sets x, y, w, h on each item.
+     */
+    function squarify(items, x, y, w, h) {
+        var rest = items.slice();
+        while (rest.length) {
+            var length = Math.min(w, h);
+            var row = [rest.shift()];
+            while (rest.length && worstRatio(row.concat(rest[0]), length) <= worstRatio(row, length)) {
+                row.push(rest.shift());
+            }
+
+            var rowArea = row.reduce(function(sum, item) { return sum + item.area; }, 0);
+            var thickness = rowArea / length;
+            var offset = 0;
+            row.forEach(function(item) {
+                var along = item.area / thickness;
+                if (w >= h) {
+                    // Column on the left side
+                    item.x = x; item.y = y + offset; item.w = thickness; item.h = along;
+                } else {
+                    // Row along the top
+                    item.x = x + offset; item.y = y; item.w = along; item.h = thickness;
+                }
+                offset += along;
+            });
+            if (w >= h) { x += thickness; w -= thickness; } else { y += thickness; h -= thickness; }
+        }
+    }
+
+    /**
+     * Squarified treemap: every node is a rectangle nested in its parent,
+     * area proportional to its leaf count (or summed n.weight)
+     */
+    function treemap(roots) {
+        function weigh(n) {
+            n.mapWeight = n.children && n.children.length ?
+                n.children.reduce(function(sum, c) { return sum + weigh(c); }, 0) :
+                (n.weight || 1);
+            return n.mapWeight;
+        }
+        roots.forEach(weigh);
+
+        function layoutRect(nodes, x, y, w, h, depth) {
+            var total = nodes.reduce(function(sum, n) { return sum + n.mapWeight; }, 0) || 1;
+            var items = nodes.map(function(n) { return { node: n, area: n.mapWeight / total * w * h }; })
+                .sort(function(a, b) { return b.area - a.area; });
+            squarify(items, x, y, w, h);
+            items.forEach(function(item) {
+                var n = item.node;
+                n.shape = "rect";
+                n.x = item.x + item.w / 2;
+                n.y = item.y + item.h / 2;
+                n.z = 0;
+                n.w = item.w;
+                n.h = item.h;
+                n.radius = 0;
+                if (n.children && n.children.length) {
+                    // Inset children so every level stays visible
+                    var pad = Math.min(item.w, item.h) * 0.04;
+                    layoutRect(n.children, item.x + pad, item.y + pad, item.w - 2 * pad, item.h - 2 * pad, depth + 1);
+                }
+            });
+        }
+        layoutRect(roots, 0, 0, 1, 1, 0);
+    }
+
+    // ========================================================================
+    // Shared helpers
+    // ========================================================================
+
+    /**
+     * Visits every node depth-first (iteratively, so deep trees are safe)
+     */
+    function walkNodes(roots, fn) {
+        var stack = roots.slice().reverse();
+        while (stack.length) {
+            var n = stack.pop();
+            fn(n);
+            for (var i = (n.children || []).length - 1; i >= 0; i--) stack.push(n.children[i]);
+        }
+    }
+
+    window.TreeLayouts = {
+        tidy: { title: "Tidy tree", layout: tidy },
+        radial: { title: "Radial tree", layout: radial },
+        pack: { title: "Circle packing", layout: pack },
+        treemap: { title: "Treemap", layout: treemap },
+    };
+})();
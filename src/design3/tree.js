@@ -0,0 +1,589 @@
+// ============================================================================
+// TREE BUILDING for design3
+// ============================================================================
+// Turns a directory map into laid-out nodes: walks it from the focused
+// directory within the node budget, honouring collapsed and expanded
+// directories and the search, sums sizes up the tree and runs the chosen
+// layout. design3 runs it in tree.worker.js when the browser has workers and
+// on the page otherwise (headless rendering), so it only uses its arguments
+// and TreeLayouts.
+(function() {
+
+    /** Node budget: directories past it start folded, until expanded (prevents UI freeze on huge trees) */
+    var MaxNodes = 10000;
+
+    /** Maximum depth walked (guards against pathologically deep maps) */
+    var MaxLevels = 1000;
+
+    /** Number of extensions ranked for the type palette */
+    var MaxTypes = 10;
+
+    /**
+     * build() - Builds the tree for one set of view options
+     *
+     * 1. Walks the map (from the focused directory, if any) to create nodes,
+     *    leaving collapsed and folded directories shut, and marks search
+     *    matches
+     * 2. Sums sizes up the tree and links parents and children
+     * 3. Calculates layout positions for each node, sized by depth or by what
+     *    lies beneath; for a diff, once for each side of it (see layoutChange)
+     * 4. Measures the layout's bounds
+     *
+     * @param {Object} map - Parsed directory map
+     * @param {Object} options - { focusId, collapsed: Set, expanded: Set,
+     *   search: { query, mode, filter }, sizeBy: "size" | "depth", layoutName,
+     *   growth: { baseRadius, radiusScale, distanceScale } for the random layout,
+     *   diff: null, or the status of each changed id from TreeDiff (diff.js),
+     *   whose merged map is then the map }
+     * @param {Function} random - Seeded generator returning [0, 1)
+     * @returns {Object} { nodes (parents first, each with parentId), focusId
+     *   (null if it no longer exists), folded, sizeUnit, typeOrder,
+     *   search: { active, hits, error }, diff (whether nodes have a change
+     *   and both sides' placements), bounds, center, radius, flat }
+     */
+    function build(map, options, random) {
+        var nodeList = [];
+
+        // Walk from the focused directory, or the whole map
+        var focusId = options.focusId;
+        var rootObj = map, rootPath = "";
+        var focusObj = focusId ? lookupPath(map, focusId) : null;
+        if (focusObj) {
+            var slash = focusId.lastIndexOf("/");
+            rootPath = slash < 0 ? "" : focusId.slice(0, slash);
+            rootObj = {};
+            rootObj[focusId.slice(slash + 1)] = focusObj;
+        } else {
+            focusId = null;
+        }
+
+        var search = runSearch(rootObj, rootPath, options.search);
+        var hitSet = new Set(search.hits);
+
+        /**
+         * Names in a directory that the tree shows: all of them, or only
+         * search matches and their ancestors while filtering
+         */
+        function shownKeys(obj, path) {
+            var keys = Object.keys(obj);
+            if (!options.search.filter || !search.keep) return keys;
+            return keys.filter(function(key) {
+                return search.keep.has(path ? path + "/" + key : key);
+            });
+        }
+
+        var plan = planWalk(rootObj, rootPath, focusId, options, shownKeys);
+
+        /**
+         * Totals a map entry the walk did not open: a file's bytes (when its
+         * leaf value is a number) and 1 file, or everything shown beneath a
+         * directory
+         */
+        function measure(val, path, depth) {
+            if (val === null || typeof val !== "object") {
+                return { bytes: typeof val === "number" && val > 0 ? val : 0, files: 1 };
+            }
+            var total = { bytes: 0, files: 0 };
+            if (depth + 1 >= MaxLevels) return total;
+            shownKeys(val, path).forEach(function(key) {
+                var size = measure(val[key], path + "/" + key, depth + 1);
+                total.bytes += size.bytes;
+                total.files += size.files;
+            });
+            return total;
+        }
+
+        /**
+         * Recursively walks the directory tree structure
+         * @param {Object} obj - Current directory object from JSON
+         * @param {string|null} parentId - ID of parent node (null for root)
+         * @param {number} depth - Current depth level (0 = root)
+         * @param {string} path - Full path string for this node
+         */
+        function walk(obj, parentId, depth, path) {
+            var keys = shownKeys(obj, path);
+            var total = { bytes: 0, files: 0 };
+            keys.forEach(function (key, index) {
+                var id = path ? path + "/" + key : key;
+                var val = obj[key];
+                var isDir = val !== null && typeof val === "object";
+                var entryCount = isDir ? shownKeys(val, id).length : 0;
+                var open = isDir && plan.open.has(id);
+                var node = {
+                    id: id,
+                    parentId: parentId,
+                    name: key,
+                    type: isDir ? "dir" : "file",
+                    depth: depth,
+                    indexInParent: index,
+                    siblingCount: keys.length,
+                    colorJitter: random() * .1,
+                    entryCount: entryCount,
+                    collapsed: entryCount > 0 && !open,
+                    match: hitSet.has(id),
+                    ext: isDir ? null : extensionOf(key),
+                };
+                if (options.diff) node.change = options.diff[id] || null;
+                nodeList.push(node);
+
+                // Sizes sum up from the files, shown or folded away
+                var size = open ? walk(val, id, depth + 1, id) : measure(val, id, depth);
+                node.bytes = size.bytes;
+                node.files = size.files;
+                total.bytes += size.bytes;
+                total.files += size.files;
+            });
+            return total;
+        }
+        // Start walking from root
+        var rootSize = walk(rootObj, null, 0, rootPath);
+        var sizeUnit = rootSize.bytes > 0 ? "bytes" : "files";
+        nodeList.forEach(function (n) {
+            n.size = sizeUnit === "bytes" ? n.bytes : n.files;
+            // Packing and treemap areas follow size
+            if (options.sizeBy === "size") n.weight = Math.max(n.size, 1e-3);
+        });
+
+        var result = {
+            nodes: nodeList,
+            focusId: focusId,
+            folded: plan.folded,
+            sizeUnit: sizeUnit,
+            typeOrder: rankTypes(nodeList),
+            search: { active: search.active, hits: search.hits, error: search.error },
+            diff: !!options.diff,
+        };
+        if (nodeList.length === 0) return result;
+
+        // Link parents and children
+        var nodeById = {};
+        nodeList.forEach(function (n) {
+            n.children = [];
+            n.parent = n.parentId ? nodeById[n.parentId] : null;
+            if (n.parent) n.parent.children.push(n);
+            nodeById[n.id] = n;
+        });
+
+        var roots = nodeList.filter(function (n) { return n.depth === 0; });
+        if (options.diff) {
+            layoutChange(roots, nodeList, options, random);
+        } else {
+            layoutNodes(roots, nodeList, options, random);
+        }
+
+        // ========================================================================
+        // Compute bounds for normalized coordinates
+        // ========================================================================
+        // A diff's bounds hold both of its layouts
+        var placements = options.diff ? nodeList.map(beforePlacement).concat(nodeList) : nodeList;
+        var xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+        var zMin = Infinity, zMax = -Infinity;
+        placements.forEach(function(n) {
+            var hw = halfWidth(n), hh = halfHeight(n), r = n.radius || 0;
+            xMin = Math.min(xMin, n.x - hw);
+            xMax = Math.max(xMax, n.x + hw);
+            yMin = Math.min(yMin, n.y - hh);
+            yMax = Math.max(yMax, n.y + hh);
+            zMin = Math.min(zMin, (n.z || 0) - r);
+            zMax = Math.max(zMax, (n.z || 0) + r);
+        });
+
+        // Add small margin so nodes/edges don't touch canvas edges
+        var margin = 0.05;
+        result.bounds = {
+            xMin: xMin - margin, xMax: xMax + margin,
+            yMin: yMin - margin, yMax: yMax + margin,
+            zMin: zMin, zMax: zMax,
+        };
+
+        // The orbit camera turns about the middle of the layout
+        var center = { x: (xMin + xMax) / 2, y: (yMin + yMax) / 2, z: (zMin + zMax) / 2 };
+        var radius = 1e-6;
+        var flat = true;
+        placements.forEach(function(n) {
+            var extent = Math.hypot(halfWidth(n), halfHeight(n));
+            var dz = (n.z || 0) - center.z;
+            radius = Math.max(radius, Math.hypot(n.x - center.x, n.y - center.y, dz) + extent);
+            if (n.z) flat = false;
+        });
+        result.center = center;
+        result.radius = radius;
+        result.flat = flat;
+        return result;
+    }
+
+    /**
+     * layoutNodes() - Runs the chosen layout over the tree, then sizes nodes
+     * by what lies beneath them where the layout does not
+     */
+    function layoutNodes(roots, nodeList, options, random) {
+        if (TreeLayouts[options.layoutName]) {
+            // Deterministic layouts from layouts.js
+            TreeLayouts[options.layoutName].layout(roots);
+        } else {
+            randomLayout(roots, random, options.growth);
+        }
+        if (options.sizeBy === "size" && options.layoutName !== "pack" && options.layoutName !== "treemap") {
+            scaleBySize(nodeList);
+        }
+    }
+
+    /** Layout values of a node that a diff keeps for each side */
+    var Placement = ["x", "y", "z", "radius", "w", "h"];
+
+    /**
+     * layoutChange() - Lays a diff's tree out as it was before the change,
+     * without its added nodes, and as it is after, without its removed ones.
+     * The before side goes in x0, y0, z0, radius0, w0 and h0, the after side
+     * in x1, y1, ... and also the usual x, y, z, radius, w and h. A node missing from a side sits
+     * on its nearest ancestor there, with no size, so it grows out of it (or
+     * shrinks into it). Sizes on each side count only that side's files;
+     * folded directories keep the size of both. The random layout is drawn
+     * once, so both sides place a node alike.
+     */
+    function layoutChange(roots, nodeList, options, random) {
+        var allChildren = nodeList.map(function(n) { return n.children; });
+        var sizes = nodeList.map(function(n) { return n.size; });
+        var random3D = !TreeLayouts[options.layoutName];
+        var radii = null;
+        if (random3D) {
+            randomLayout(roots, random, options.growth);
+            radii = nodeList.map(function(n) { return n.radius; });
+        }
+
+        ["added", "removed"].forEach(function(absent, side) {
+            // Parents come before children, so sizes sum up in reverse
+            nodeList.forEach(function(n, i) {
+                n.children = allChildren[i].filter(function(c) { return c.change !== absent; });
+            });
+            for (var i = nodeList.length - 1; i >= 0; i--) {
+                var n = nodeList[i];
+                n.size = n.change === absent ? 0 : n.children.length === 0 ? sizes[i] :
+                    n.children.reduce(function(sum, c) { return sum + c.size; }, 0);
+                if (options.sizeBy === "size") n.weight = Math.max(n.size, 1e-3);
+            }
+
+            if (random3D) {
+                nodeList.forEach(function(n, i) { n.radius = radii[i]; });
+                if (options.sizeBy === "size") scaleBySize(nodeList);
+            } else {
+                layoutNodes(roots.filter(function(n) { return n.change !== absent; }), nodeList, options, random);
+            }
+
+            nodeList.forEach(function(n) {
+                if (n.change !== absent) return;
+                var anchor = n.parent;
+                while (anchor && anchor.change === absent) anchor = anchor.parent;
+                if (anchor) {
+                    n.x = anchor.x;
+                    n.y = anchor.y;
+                    n.z = anchor.z;
+                }
+                n.radius = 0;
+                n.w = 0;
+                n.h = 0;
+            });
+            if (side === 0) {
+                nodeList.forEach(function(n) {
+                    Placement.forEach(function(key) { n[key + "0"] = n[key]; });
+                });
+            }
+        });
+
+        nodeList.forEach(function(n, i) {
+            // Top-level additions appear where they end up
+            if (n.x0 === undefined) {
+                n.x0 = n.x;
+                n.y0 = n.y;
+                n.z0 = n.z;
+            }
+            Placement.forEach(function(key) { n[key + "1"] = n[key]; });
+            n.children = allChildren[i];
+            n.size = sizes[i];
+            if (options.sizeBy === "size") n.weight = Math.max(n.size, 1e-3);
+        });
+    }
+
+    /** A node's before side as a node of its own, for measuring bounds */
+    function beforePlacement(n) {
+        var placed = { shape: n.shape };
+        Placement.forEach(function(key) { placed[key] = n[key + "0"]; });
+        return placed;
+    }
+
+    /**
+     * planWalk() - Chooses which directories build() walks into
+     *
+     * Visits directories breadth-first, so shallow levels fill in before deep
+     * ones, opening each while its entries fit in the MaxNodes budget.
+     * Directories the user collapsed stay shut; ones the user expanded (and
+     * the focused one) open whatever the budget. The rest are folded: drawn
+     * as a collapsed directory that a click expands later. While the search
+     * filters the tree, only matches and their ancestors count.
+     *
+     * @param {Object} rootObj - Entries at depth 0
+     * @param {string} rootPath - Path the entries' ids start from ("" for the map root)
+     * @param {string|null} focusId - Focused directory, opened regardless
+     * @param {Object} options - build() options (collapsed, expanded)
+     * @param {Function} shownKeys - Names shown in a directory
+     * @returns {Object} { open: Set of directory ids, folded: number of folded directories }
+     */
+    function planWalk(rootObj, rootPath, focusId, options, shownKeys) {
+        var open = new Set();
+        var folded = 0;
+        var count = shownKeys(rootObj, rootPath).length;
+        var queue = [];
+
+        function enqueue(obj, path, depth) {
+            shownKeys(obj, path).forEach(function(key) {
+                var val = obj[key];
+                var id = path ? path + "/" + key : key;
+                if (val !== null && typeof val === "object" && !options.collapsed.has(id) && depth + 1 < MaxLevels) {
+                    queue.push({ obj: val, id: id, depth: depth });
+                }
+            });
+        }
+        enqueue(rootObj, rootPath, 0);
+
+        for (var i = 0; i < queue.length; i++) {
+            var dir = queue[i];
+            var size = shownKeys(dir.obj, dir.id).length;
+            if (size === 0) continue;
+            if (count + size > MaxNodes && !options.expanded.has(dir.id) && dir.id !== focusId) {
+                folded += 1;
+                continue;
+            }
+            open.add(dir.id);
+            count += size;
+            enqueue(dir.obj, dir.id, dir.depth + 1);
+        }
+        return { open: open, folded: folded };
+    }
+
+    /**
+     * Finds a directory's contents in a map by node id
+     * @param {Object} map - Parsed directory map
+     * @param {string} id - Slash-joined path, as in node ids
+     * @returns {Object|null} The directory object, or null if the path is not a directory
+     */
+    function lookupPath(map, id) {
+        var obj = map;
+        var parts = id.split("/");
+        for (var i = 0; i < parts.length; i++) {
+            if (!obj || !Object.prototype.hasOwnProperty.call(obj, parts[i])) return null;
+            obj = obj[parts[i]];
+        }
+        return obj !== null && typeof obj === "object" ? obj : null;
+    }
+
+    // ========================================================================
+    // Random 3D layout: children radiate from their parent
+    // ========================================================================
+
+    /**
+     * Places roots at the center (0.5, 0.5, 0) and each child in a random
+     * direction around its parent at a fixed distance, so children occupy 3D
+     * space. Radius shrinks level by level.
+     * @param {Object} growth - { baseRadius: root node size (normalized),
+     *   radiusScale: child radius = parent radius * radiusScale,
+     *   distanceScale: distance between parent and child =
+     *   (parentRadius + childRadius) * distanceScale }
+     */
+    function randomLayout(roots, random, growth) {
+        var baseRadius = growth.baseRadius;
+        var radiusScale = growth.radiusScale;
+        var distanceScale = growth.distanceScale;
+
+        function layout(children, parentX, parentY, parentZ, parentRadius) {
+            if (!children || children.length === 0) {
+                // Leaf node: no children to position
+                return;
+            }
+
+            // Place children at random directions around the parent, keeping a constant distance
+            children.forEach(function(child) {
+                // First, set child's radius so we know it when calculating distance
+                child.radius = parentRadius * radiusScale;
+
+                // Constant distance for siblings from parent center
+                var distanceToChild = (parentRadius + child.radius) * distanceScale;
+
+                // Random spherical distribution: random direction around parent in 3D
+                var phi = Math.acos(2 * random() - 1);  // random polar angle (0 to π)
+                var theta = random() * 2 * Math.PI;     // random azimuthal angle (0 to 2π)
+
+                // Convert spherical to Cartesian coordinates relative to parent
+                var dx = Math.cos(theta) * Math.sin(phi) * distanceToChild;
+                var dy = Math.sin(theta) * Math.sin(phi) * distanceToChild;
+                var dz = Math.cos(phi) * distanceToChild;
+
+                // Absolute position
+                child.x = parentX + dx;
+                child.y = parentY + dy;
+                child.z = parentZ + dz;
+
+                // Recursively layout children
+                layout(child.children, child.x, child.y, child.z, child.radius);
+            });
+        }
+
+        roots.forEach(function(root) {
+            root.x = 0.5;
+            root.y = 0.5;
+            root.z = 0;
+            root.radius = baseRadius;
+            layout(root.children, root.x, root.y, root.z, root.radius);
+        });
+    }
+
+    /**
+     * scaleBySize() - Shrinks each node's layout radius by the square root
+     * of its size over the largest size at its depth, so areas compare
+     * within a level and nodes never outgrow the room the layout gave them
+     */
+    function scaleBySize(nodes) {
+        var largest = [];
+        nodes.forEach(function(n) {
+            largest[n.depth] = Math.max(largest[n.depth] || 0, n.size);
+        });
+        nodes.forEach(function(n) {
+            var share = largest[n.depth] > 0 ? n.size / largest[n.depth] : 1;
+            n.radius *= Math.max(0.15, Math.sqrt(share));
+        });
+    }
+
+    /**
+     * Half extents of a laid-out node: its radius, or half its rectangle
+     * @param {Object} n - Node with radius, or shape "rect" with w and h
+     */
+    function halfWidth(n) {
+        return n.shape === "rect" ? n.w / 2 : (n.radius || 0);
+    }
+
+    function halfHeight(n) {
+        return n.shape === "rect" ? n.h / 2 : (n.radius || 0);
+    }
+
+    // ========================================================================
+    // File types
+    // ========================================================================
+
+    /**
+     * Lowercase extension of a file name ("" for none; dotfiles have none)
+     */
+    function extensionOf(name) {
+        var dot = name.lastIndexOf(".");
+        return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+    }
+
+    /**
+     * rankTypes() - Lists the extensions holding the most size among the
+     * shown files, heaviest first, up to MaxTypes
+     */
+    function rankTypes(nodes) {
+        var weights = {};
+        nodes.forEach(function(n) {
+            if (n.type === "file") weights[n.ext] = (weights[n.ext] || 0) + Math.max(n.size, 1e-3);
+        });
+        return Object.keys(weights).sort(function(a, b) {
+            return weights[b] - weights[a] || (a < b ? -1 : 1);
+        }).slice(0, MaxTypes);
+    }
+
+    // ========================================================================
+    // Search
+    // ========================================================================
+
+    /**
+     * Converts a glob to a case-insensitive RegExp for node ids: ** matches
+     * across slashes, * and ? within one name. Like .gitignore patterns, a
+     * glob may start at any directory, so "*.md" and "src/**" match at any depth.
+     * @param {string} glob - Pattern such as "*.test.js" or "src/**.css"
+     */
+    function globToRegExp(glob) {
+        var source = "";
+        for (var i = 0; i < glob.length; i++) {
+            var c = glob[i];
+            if (c === "*" && glob[i + 1] === "*") {
+                source += ".*";
+                i += 1;
+            } else if (c === "*") {
+                source += "[^/]*";
+            } else if (c === "?") {
+                source += "[^/]";
+            } else {
+                source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+            }
+        }
+        return new RegExp("(^|/)" + source + "$", "i");
+    }
+
+    /**
+     * Builds a test for a query against a node's name and id
+     * @param {Object} search - { query, mode: "substring" | "glob" | "regex" }
+     * @returns {Function|null} match(name, id), or null for an empty query
+     * @throws {SyntaxError} When a regex query does not compile
+     */
+    function searchMatcher(search) {
+        var query = search.query;
+        if (!query) return null;
+        if (search.mode === "substring") {
+            var lower = query.toLowerCase();
+            // The id ends with the name, so it covers both
+            return function(name, id) { return id.toLowerCase().indexOf(lower) >= 0; };
+        }
+        if (search.mode === "glob") {
+            var glob = globToRegExp(query);
+            return function(name, id) { return glob.test(id); };
+        }
+        var re = new RegExp(query, "i");
+        return function(name, id) { return re.test(name) || re.test(id); };
+    }
+
+    /**
+     * runSearch() - Matches a query against every entry under the walk
+     * root, folded or not
+     * @param {Object} rootObj - Entries at depth 0
+     * @param {string} rootPath - Path the entries' ids start from
+     * @param {Object} search - { query, mode }
+     * @returns {Object} { active, hits (ids in tree order), keep (hits plus
+     *   their ancestors, null without a query), error (null or a message) }
+     */
+    function runSearch(rootObj, rootPath, search) {
+        var match = null, error = null;
+        try {
+            match = searchMatcher(search);
+        } catch (e) {
+            error = "Invalid regex";
+        }
+
+        var hits = [], keep = new Set();
+        function visit(obj, path, ancestors, depth) {
+            Object.keys(obj).forEach(function(key) {
+                var id = path ? path + "/" + key : key;
+                var val = obj[key];
+                if (match(key, id)) {
+                    hits.push(id);
+                    keep.add(id);
+                    // A kept ancestor already has its own ancestors kept
+                    for (var i = ancestors.length - 1; i >= 0 && !keep.has(ancestors[i]); i--) {
+                        keep.add(ancestors[i]);
+                    }
+                }
+                if (val !== null && typeof val === "object" && depth + 1 < MaxLevels) {
+                    ancestors.push(id);
+                    visit(val, id, ancestors, depth + 1);
+                    ancestors.pop();
+                }
+            });
+        }
+        if (match) visit(rootObj, rootPath, [], 0);
+
+        return { active: !!match, hits: hits, keep: match ? keep : null, error: error };
+    }
+
+    window.TreeBuilder = {
+        build: build,
+        maxNodes: MaxNodes,
+    };
+})();
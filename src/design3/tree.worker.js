@@ -0,0 +1,197 @@
+// ============================================================================
+// BACKGROUND LOADER for design3 (a Web Worker)
+// ============================================================================
+// Downloads and parses the tree (directory_map.json or any format formats.js
+// reads) and builds trees from it off the page's thread, so a huge map never
+// freezes the UI. Messages in:
+//   { type: "load", url, file }       - fetch url, or read a dropped File, and parse it
+//   { type: "compare", compareId, url, file } - load an older map, or git diff
+//                                       --name-status output, to diff the map against (diff.js)
+//   { type: "uncompare" }             - drop the diff, and the reply to any compare still loading
+//   { type: "build", id, seed, options } - build a tree (TreeBuilder.build options,
+//                                       with diff true to build the diff)
+//   { type: "more", id }              - send the next chunk of nodes
+//   { type: "cancel" }                - drop the chunks still waiting
+// Messages out:
+//   { type: "progress", phase, loaded, total, id, compareId } - phase "download", "parse" or "layout"
+//   { type: "loaded", format } / { type: "error", message, compareId }
+//   { type: "compared", compareId, format, counts } - counts of added, removed and modified files
+// Replies to a compare carry its compareId; the others leave it undefined.
+//   { type: "tree", id, tree }        - everything but the nodes
+//   { type: "nodes", id, nodes, total, done } - parents first, a chunk per "more"
+
+// diff.js, formats.js, layouts.js and tree.js publish their APIs on window
+self.window = self;
+importScripts("diff.js", "formats.js", "layouts.js", "tree.js");
+
+/** The parsed map (null until loaded) */
+var DirectoryMap = null;
+
+/** The map merged with the one it is compared to, from TreeDiff (null when not comparing) */
+var Diff = null;
+
+/** compareId of the newest "compare" (null after "uncompare"); older ones finish unheard */
+var compareId = null;
+
+/** Nodes per "nodes" message */
+var ChunkSize = 2000;
+
+/** Milliseconds between download progress messages */
+var ProgressInterval = 100;
+
+/** Build whose nodes are still being sent: { id, nodes, next } (null when none) */
+var pending = null;
+
+/**
+ * The same generator as Random() in main.js (mulberry32), so a seed lays out
+ * the same tree here as on the page
+ */
+function seededRandom(seed) {
+    var state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * read() - Streams a file in, reporting bytes received against
+ * Content-Length or the file's size (total is 0 when the server does not
+ * send it)
+ * @param {Object} msg - { url } or { file }
+ * @param {number} [compareId] - The compare this file is for, echoed on progress messages (undefined for the map itself)
+ * @returns {Promise} The file's text
+ */
+function read(msg, compareId) {
+    var opened = msg.file ? Promise.resolve({ body: msg.file.stream(), total: msg.file.size }) :
+        fetch(msg.url).then(function(response) {
+            if (!response.ok) throw new Error(response.status + " " + response.statusText);
+            return { body: response.body, total: Number(response.headers.get("Content-Length")) || 0 };
+        });
+    return opened.then(function(source) {
+        var total = source.total;
+        var reader = source.body.getReader();
+        var decoder = new TextDecoder();
+        var parts = [];
+        var loaded = 0;
+        var lastReport = 0;
+
+        function next() {
+            return reader.read().then(function(chunk) {
+                if (chunk.done) {
+                    parts.push(decoder.decode());
+                    return parts.join("");
+                }
+                loaded += chunk.value.length;
+                parts.push(decoder.decode(chunk.value, { stream: true }));
+                var now = Date.now();
+                if (now - lastReport >= ProgressInterval) {
+                    lastReport = now;
+                    self.postMessage({ type: "progress", phase: "download", loaded: loaded, total: total, compareId: compareId });
+                }
+                return next();
+            });
+        }
+        return next();
+    }).then(function(text) {
+        self.postMessage({ type: "progress", phase: "parse", loaded: text.length, total: text.length, compareId: compareId });
+        return text;
+    });
+}
+
+/**
+ * load() - Reads the map and parses it with TreeFormats
+ */
+function load(msg) {
+    read(msg).then(function(text) {
+        var parsed = TreeFormats.parse(text);
+        DirectoryMap = parsed.map;
+        Diff = null;
+        self.postMessage({ type: "loaded", format: parsed.format });
+    }).catch(function(err) {
+        self.postMessage({ type: "error", message: String(err && err.message || err) });
+    });
+}
+
+/**
+ * compare() - Reads what to compare the map with, a list of changes or an
+ * older map, and merges the two, unless another compare or "uncompare" came
+ * in meanwhile
+ */
+function compare(msg) {
+    read(msg, msg.compareId).then(function(text) {
+        if (msg.compareId !== compareId) return;
+        Diff = TreeDiff.diffText(DirectoryMap, text);
+        self.postMessage({ type: "compared", compareId: msg.compareId, format: Diff.format, counts: Diff.counts });
+    }).catch(function(err) {
+        if (msg.compareId !== compareId) return;
+        self.postMessage({ type: "error", message: String(err && err.message || err), compareId: msg.compareId });
+    });
+}
+
+/**
+ * build() - Lays out a tree and sends its summary, then the first chunk of
+ * nodes. Nodes go shallowest first, so the tree grows outward as it arrives.
+ */
+function build(msg) {
+    self.postMessage({ type: "progress", phase: "layout", id: msg.id });
+    var options = msg.options;
+    options.diff = Diff && options.diff ? Diff.status : null;
+    var tree = TreeBuilder.build(options.diff ? Diff.map : DirectoryMap, options, seededRandom(msg.seed));
+    var nodes = tree.nodes.map(function(n, i) { return { node: n, order: i }; }).sort(function(a, b) {
+        return a.node.depth - b.node.depth || a.order - b.order;
+    }).map(function(item) { return flatten(item.node); });
+    delete tree.nodes;
+
+    self.postMessage({ type: "tree", id: msg.id, tree: tree });
+    pending = { id: msg.id, nodes: nodes, next: 0 };
+    sendChunk(msg.id);
+}
+
+/**
+ * Copies a node's own values for posting; links (parent, children and the
+ * layouts' working references) would drag the whole tree along
+ */
+function flatten(n) {
+    var copy = {};
+    Object.keys(n).forEach(function(key) {
+        var value = n[key];
+        if (value === null || typeof value !== "object") copy[key] = value;
+    });
+    return copy;
+}
+
+function sendChunk(id) {
+    if (!pending || pending.id !== id) return;
+    var nodes = pending.nodes.slice(pending.next, pending.next + ChunkSize);
+    pending.next += nodes.length;
+    var done = pending.next >= pending.nodes.length;
+    self.postMessage({ type: "nodes", id: id, nodes: nodes, total: pending.nodes.length, done: done });
+    if (done) pending = null;
+}
+
+self.onmessage = function(e) {
+    var msg = e.data;
+    if (msg.type === "load") {
+        load(msg);
+    } else if (msg.type === "compare") {
+        compareId = msg.compareId;
+        compare(msg);
+    } else if (msg.type === "uncompare") {
+        compareId = null;
+        Diff = null;
+    } else if (msg.type === "build") {
+        try {
+            build(msg);
+        } catch (err) {
+            self.postMessage({ type: "error", id: msg.id, message: String(err && err.message || err) });
+        }
+    } else if (msg.type === "more") {
+        sendChunk(msg.id);
+    } else if (msg.type === "cancel") {
+        pending = null;
+    }
+};
@@ -1,27 +1,33 @@
 $( document ).ready(function() {
-    var $window = $( window );
     var $body = $('body');
     var $canvas = $('canvas');
 
     var shift = false;
     $body.on('keydown keyup',function(e){
+        // Leave typing in the controls alone
+        if ($(e.target).is('input, select, textarea')) {
+            return;
+        }
         var stepSize = 5;
         if (e.type==="keydown") {
+            StopCameraAnimation();
             if (shift) {
                 if (e.which===38) {
-                    Camera.z *= .95;
+                    ZoomCamera(1 / .95);
                 } else if (e.which===40) {
-                    Camera.z *= 1.05;
+                    ZoomCamera(1 / 1.05);
                 }
             } else {
                 if (e.which===39) {
-                    Camera.x += stepSize;
+                    PanCamera(stepSize, 0);
                 } else if (e.which===37) {
-                    Camera.x -= stepSize;
+                    PanCamera(-stepSize, 0);
                 } else if (e.which===40) {
-                    Camera.y += stepSize;
+                    PanCamera(0, stepSize);
                 } else if (e.which===38) {
-                    Camera.y -= stepSize;
+                    PanCamera(0, -stepSize);
+                } else if (e.which===70) {
+                    FitCamera();
                 }
             }
             UpdateRender();
@@ -39,23 +45,194 @@ $( document ).ready(function() {
         }
     });
 
-    $canvas
-        .mousedown(function(e) {
-            var init_x = e.pageX;
-            var init_y = e.pageY;
-            var c_x = Camera.x;
-            var c_y = Camera.y;
+    // Pointer input covers mouse, pen and touch. The centroid of the active
+    // pointers pans the view and, with two or more, their spread zooms it.
+    // Capturing the pointer keeps a drag alive outside the canvas.
+    var pointers = {};
+    var velocity = {x: 0, y: 0};
+    var lastMove = 0;
+    var inertiaFrame = null;
+
+    // Inertia: velocity halves roughly every 225ms after release
+    var friction = 325;
+    var minSpeed = .02;
+
+    // A press that moves less than clickSlop pixels is a click, for designs
+    // that pick what is under the pointer
+    var clickSlop = 4;
+    var press = null;
+
+    function canvasPoint(e) {
+        var offset = $canvas.offset();
+        return {x: e.pageX - offset.left, y: e.pageY - offset.top};
+    }
+
+    // gesture returns the centroid and mean distance from it of the pointers
+    function gesture() {
+        var ids = Object.keys(pointers);
+        var c = {x: 0, y: 0};
+        $.each(ids, function(i, id) {
+            c.x += pointers[id].x / ids.length;
+            c.y += pointers[id].y / ids.length;
+        });
+        var spread = 0;
+        $.each(ids, function(i, id) {
+            spread += Math.hypot(pointers[id].x - c.x, pointers[id].y - c.y) / ids.length;
+        });
+        return {count: ids.length, x: c.x, y: c.y, spread: spread};
+    }
+
+    function stopInertia() {
+        if (inertiaFrame !== null) {
+            window.cancelAnimationFrame(inertiaFrame);
+            inertiaFrame = null;
+        }
+    }
+
+    function startInertia() {
+        var last = performance.now();
+        function step(now) {
+            var dt = now - last;
+            last = now;
+            PanCamera(-velocity.x * dt, -velocity.y * dt);
+            UpdateRender();
+
+            var decay = Math.exp(-dt / friction);
+            velocity.x *= decay;
+            velocity.y *= decay;
+            inertiaFrame = Math.hypot(velocity.x, velocity.y) > minSpeed ? window.requestAnimationFrame(step) : null;
+        }
+        inertiaFrame = window.requestAnimationFrame(step);
+    }
+
+    $canvas.on('pointerdown', function(e) {
+        var event = e.originalEvent;
+        stopInertia();
+        StopCameraAnimation();
+        this.setPointerCapture(event.pointerId);
+        pointers[event.pointerId] = canvasPoint(event);
+        velocity = {x: 0, y: 0};
+        press = gesture().count === 1 ? canvasPoint(event) : null;
+        return false;
+    });
+
+    $canvas.on('pointermove', function(e) {
+        var event = e.originalEvent;
+        if (!pointers[event.pointerId]) {
+            hover(canvasPoint(event));
+            return;
+        }
 
-            $window.mousemove(function(e) {
-                Camera.x = c_x + (init_x - e.pageX);
-                Camera.y = c_y + (init_y - e.pageY);
-                UpdateRender();
-            });
+        var before = gesture();
+        pointers[event.pointerId] = canvasPoint(event);
+        var after = gesture();
+        if (press && Math.hypot(after.x - press.x, after.y - press.y) > clickSlop) {
+            press = null;
+        }
 
+        // One-pointer drags orbit designs that can rotate; Shift+drag pans
+        if (after.count === 1 && ActiveDesign && ActiveDesign.Rotate && !event.shiftKey) {
+            ActiveDesign.Rotate(after.x - before.x, after.y - before.y);
+            velocity = {x: 0, y: 0};
+            UpdateRender();
             return false;
-        })
-        .mouseup(function() {
-            $window.unbind("mousemove");
+        }
+
+        // Keep the world point under the old centroid under the new one
+        PanCamera(before.x - after.x, before.y - after.y);
+        if (after.count > 1 && before.spread > 0) {
+            ZoomCamera(after.spread / before.spread, after.x, after.y);
+        }
+
+        // Track a smoothed screen velocity (px/ms) for single-pointer flicks
+        var now = performance.now();
+        var dt = now - lastMove;
+        if (after.count === 1 && dt > 0 && dt < 100) {
+            velocity.x = .8 * (after.x - before.x) / dt + .2 * velocity.x;
+            velocity.y = .8 * (after.y - before.y) / dt + .2 * velocity.y;
+        } else {
+            velocity = {x: 0, y: 0};
+        }
+        lastMove = now;
+
+        UpdateRender();
+        return false;
+    });
+
+    $canvas.on('pointerup pointercancel', function(e) {
+        var event = e.originalEvent;
+        if (!pointers[event.pointerId]) {
+            return;
+        }
+        delete pointers[event.pointerId];
+
+        if (event.type === 'pointerup' && press && gesture().count === 0 && ActiveDesign && ActiveDesign.Click) {
+            ActiveDesign.Click(press);
+        }
+        if (gesture().count === 0) {
+            press = null;
+        }
+
+        // Flick: keep gliding if the last pointer was moving when released
+        var moving = performance.now() - lastMove < 50 && Math.hypot(velocity.x, velocity.y) > minSpeed;
+        if (event.type === 'pointerup' && gesture().count === 0 && moving) {
+            startInertia();
+        }
+        return false;
+    });
+
+    $canvas.on('pointerleave', function() {
+        hover(null);
+    });
+
+    // hover hands the pointer to the design's Hover(), or for a design
+    // without one shows the title of the scene shape under it
+    function hover(point) {
+        if (!ActiveDesign) {
+            return;
+        }
+        if (ActiveDesign.Hover) {
+            ActiveDesign.Hover(point);
+            return;
+        }
+        var shape = ShapeAt(point);
+        var $tooltip = $('#design-tooltip');
+        if (shape && shape.title) {
+            var offset = $canvas.offset();
+            $tooltip.text(shape.title).css({left: offset.left + point.x + 12, top: offset.top + point.y + 12}).show();
+        } else {
+            $tooltip.hide();
+        }
+    }
+
+    // Wheel zooms about the cursor; trackpad pinch arrives as ctrl+wheel
+    $canvas.on('wheel', function(e) {
+        var event = e.originalEvent;
+        var delta = event.deltaY * (event.deltaMode === 1 ? 16 : 1);
+        var p = canvasPoint(e);
+        stopInertia();
+        StopCameraAnimation();
+        ZoomCamera(Math.exp(-delta * (event.ctrlKey ? .01 : .002)), p.x, p.y);
+        UpdateRender();
+        return false;
+    });
+
+    // Files dropped on the canvas go to designs that can read them
+    $canvas.on('dragover', function(e) {
+        if (ActiveDesign && ActiveDesign.Drop) {
+            e.originalEvent.dataTransfer.dropEffect = 'copy';
             return false;
-        });
+        }
+    });
+    $canvas.on('drop', function(e) {
+        if (ActiveDesign && ActiveDesign.Drop) {
+            ActiveDesign.Drop(e.originalEvent.dataTransfer.files);
+            return false;
+        }
+    });
+
+    $('#camera-fit').on('click', function() {
+        FitCamera();
+        UpdateRender();
+    });
 });
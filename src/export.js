@@ -0,0 +1,122 @@
+// Paper sizes in millimetres, portrait (width, height)
+var PaperSizes = {
+    A4: {w: 210, h: 297},
+    A3: {w: 297, h: 420},
+    A2: {w: 420, h: 594},
+    A1: {w: 594, h: 841},
+    Letter: {w: 215.9, h: 279.4},
+    Tabloid: {w: 279.4, h: 431.8},
+};
+
+var MmPerInch = 25.4;
+
+// PosterSize fits the canvas ratio inside the paper, turning the paper to
+// match the poster's orientation. Returns the poster size in mm and pixels.
+function PosterSize(paper, dpi) {
+    var size = PaperSizes[paper];
+    if (!size) {
+        console.log("Error: PosterSize unknown paper " + paper);
+        return null;
+    }
+
+    var landscape = ratioX >= ratioY;
+    var pageW = landscape ? Math.max(size.w, size.h) : Math.min(size.w, size.h);
+    var pageH = landscape ? Math.min(size.w, size.h) : Math.max(size.w, size.h);
+
+    // Largest poster with the canvas ratio that fits the page
+    var fit = Math.min(pageW / ratioX, pageH / ratioY);
+    var w = ratioX * fit;
+    var h = ratioY * fit;
+
+    return {
+        mmW: w,
+        mmH: h,
+        pxW: Math.round(w / MmPerInch * dpi),
+        pxH: Math.round(h / MmPerInch * dpi),
+    };
+}
+
+// RenderOffscreen draws the active design into a new canvas of the given size
+function RenderOffscreen(width, height) {
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    RenderInto(canvas.getContext("2d"), width, height);
+    return canvas;
+}
+
+// ExportFileName names exports after the design and seed
+function ExportFileName(ext) {
+    return ActiveDesign.name + "-" + Seed + "." + ext;
+}
+
+// DownloadURL saves a URL as a file and leaves a link in #image
+function DownloadURL(url, filename) {
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.textContent = filename;
+    $('#image').empty().append(link);
+    link.click();
+}
+
+// ExportPNG renders the poster at the paper size and DPI and downloads it
+function ExportPNG(paper, dpi) {
+    var size = PosterSize(paper, dpi);
+    if (!ActiveDesign || !size) {
+        return;
+    }
+
+    var canvas = RenderOffscreen(size.pxW, size.pxH);
+    canvas.toBlob(function(blob) {
+        DownloadURL(URL.createObjectURL(blob), ExportFileName("png"));
+    }, "image/png");
+}
+
+// ExportPDF renders the poster and saves it as a single PDF page of the same size
+function ExportPDF(paper, dpi) {
+    var size = PosterSize(paper, dpi);
+    if (!ActiveDesign || !size) {
+        return;
+    }
+
+    var canvas = RenderOffscreen(size.pxW, size.pxH);
+    var orientation = size.mmW >= size.mmH ? "landscape" : "portrait";
+    var pdf = new jsPDF(orientation, "mm", [size.mmW, size.mmH]);
+    pdf.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, size.mmW, size.mmH);
+    pdf.save(ExportFileName("pdf"));
+}
+
+// ExportSVG records the poster as vector paths, printed at the paper size
+function ExportSVG(paper) {
+    var size = PosterSize(paper, 72);
+    if (!ActiveDesign || !size) {
+        return;
+    }
+
+    var svg = new SVGContext(CanvasWidth, CanvasHeight);
+    RenderInto(svg, CanvasWidth, CanvasHeight);
+    var text = svg.toSVG(size.mmW.toFixed(1) + "mm", size.mmH.toFixed(1) + "mm");
+    var blob = new Blob([text], {type: "image/svg+xml"});
+    DownloadURL(URL.createObjectURL(blob), ExportFileName("svg"));
+}
+
+$( document ).ready(function() {
+    var $paper = $('#export-paper');
+    var $dpi = $('#export-dpi');
+
+    $.each(PaperSizes, function(name) {
+        $paper.append($('<option>').val(name).text(name));
+    });
+    $paper.val("A3");
+
+    $('#export-png').on('click', function() {
+        ExportPNG($paper.val(), Number($dpi.val()));
+    });
+    $('#export-pdf').on('click', function() {
+        ExportPDF($paper.val(), Number($dpi.val()));
+    });
+    $('#export-svg').on('click', function() {
+        ExportSVG($paper.val());
+    });
+});
@@ -0,0 +1,203 @@
+// GIFEncoder builds an animated GIF from RGBA frames in plain JavaScript:
+//
+//     var gif = new GIFEncoder(width, height);
+//     gif.addFrame(ctx.getImageData(0, 0, width, height).data, 4);
+//     var bytes = gif.finish();
+//
+// Each frame gets its own 256 color palette, picked from a 15-bit color
+// histogram, and loops forever.
+(function() {
+    function GIFEncoder(width, height) {
+        this.width = width;
+        this.height = height;
+        this._bytes = [];
+        this._finished = false;
+
+        // Header and logical screen descriptor, no global color table
+        this._string("GIF89a");
+        this._short(width);
+        this._short(height);
+        this._bytes.push(0x70, 0, 0);
+
+        // NETSCAPE2.0 application extension: loop forever
+        this._bytes.push(0x21, 0xFF, 0x0B);
+        this._string("NETSCAPE2.0");
+        this._bytes.push(0x03, 0x01, 0, 0, 0);
+    }
+
+    // addFrame appends RGBA pixels shown for delay hundredths of a second
+    GIFEncoder.prototype.addFrame = function(rgba, delay) {
+        var quantized = quantize(rgba);
+
+        // Graphic control extension: keep the previous frame, no transparency
+        this._bytes.push(0x21, 0xF9, 0x04, 0x04);
+        this._short(Math.max(2, Math.round(delay)));
+        this._bytes.push(0, 0);
+
+        // Image descriptor with a 256 entry local color table
+        this._bytes.push(0x2C);
+        this._short(0);
+        this._short(0);
+        this._short(this.width);
+        this._short(this.height);
+        this._bytes.push(0x87);
+        for (var i = 0; i < quantized.palette.length; i++) {
+            this._bytes.push(quantized.palette[i]);
+        }
+
+        var data = lzw(quantized.indices, 8);
+        this._bytes.push(8);
+        for (var start = 0; start < data.length; start += 255) {
+            var size = Math.min(255, data.length - start);
+            this._bytes.push(size);
+            for (var j = 0; j < size; j++) {
+                this._bytes.push(data[start + j]);
+            }
+        }
+        this._bytes.push(0);
+    };
+
+    // finish writes the trailer and returns the file bytes
+    GIFEncoder.prototype.finish = function() {
+        if (!this._finished) {
+            this._bytes.push(0x3B);
+            this._finished = true;
+        }
+        return new Uint8Array(this._bytes);
+    };
+
+    GIFEncoder.prototype._short = function(value) {
+        this._bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    };
+
+    GIFEncoder.prototype._string = function(str) {
+        for (var i = 0; i < str.length; i++) {
+            this._bytes.push(str.charCodeAt(i));
+        }
+    };
+
+    // quantize reduces RGBA pixels to palette indices. Colors are bucketed by
+    // their top 5 bits per channel; the 256 fullest buckets become the
+    // palette (averaged) and every other bucket maps to its nearest entry.
+    function quantize(rgba) {
+        var pixels = rgba.length / 4;
+        var count = new Uint32Array(32768);
+        var sum = new Float64Array(32768 * 3);
+        var keys = new Uint16Array(pixels);
+
+        for (var p = 0; p < pixels; p++) {
+            var r = rgba[p * 4];
+            var g = rgba[p * 4 + 1];
+            var b = rgba[p * 4 + 2];
+            var key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+            keys[p] = key;
+            count[key]++;
+            sum[key * 3] += r;
+            sum[key * 3 + 1] += g;
+            sum[key * 3 + 2] += b;
+        }
+
+        var used = [];
+        for (var k = 0; k < 32768; k++) {
+            if (count[k]) {
+                used.push(k);
+            }
+        }
+        used.sort(function(a, b) { return count[b] - count[a]; });
+
+        var palette = new Uint8Array(256 * 3);
+        var colors = Math.min(256, used.length);
+        var map = new Int16Array(32768).fill(-1);
+        for (var i = 0; i < colors; i++) {
+            var c = used[i];
+            palette[i * 3] = Math.round(sum[c * 3] / count[c]);
+            palette[i * 3 + 1] = Math.round(sum[c * 3 + 1] / count[c]);
+            palette[i * 3 + 2] = Math.round(sum[c * 3 + 2] / count[c]);
+            map[c] = i;
+        }
+
+        // Remaining buckets take the nearest palette color
+        for (var u = colors; u < used.length; u++) {
+            var bucket = used[u];
+            var br = ((bucket >> 10) & 31) * 8 + 4;
+            var bg = ((bucket >> 5) & 31) * 8 + 4;
+            var bb = (bucket & 31) * 8 + 4;
+            var best = 0;
+            var bestDist = Infinity;
+            for (var e = 0; e < colors; e++) {
+                var dr = palette[e * 3] - br;
+                var dg = palette[e * 3 + 1] - bg;
+                var db = palette[e * 3 + 2] - bb;
+                var dist = dr * dr + dg * dg + db * db;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = e;
+                }
+            }
+            map[bucket] = best;
+        }
+
+        var indices = new Uint8Array(pixels);
+        for (var q = 0; q < pixels; q++) {
+            indices[q] = map[keys[q]];
+        }
+        return {palette: palette, indices: indices};
+    }
+
+    // lzw compresses palette indices into GIF's variable-width LZW codes
+    function lzw(indices, minCodeSize) {
+        var clearCode = 1 << minCodeSize;
+        var endCode = clearCode + 1;
+        var out = [];
+        var bits = 0;
+        var bitCount = 0;
+        var codeSize = minCodeSize + 1;
+        var nextCode = endCode + 1;
+        var dict = new Map();
+
+        function emit(code) {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bits & 0xFF);
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        emit(clearCode);
+        var prefix = indices[0];
+        for (var i = 1; i < indices.length; i++) {
+            var k = indices[i];
+            var key = prefix * 256 + k;
+            var code = dict.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < 4096) {
+                dict.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                dict.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            out.push(bits & 0xFF);
+        }
+        return out;
+    }
+
+    window.GIFEncoder = GIFEncoder;
+})();
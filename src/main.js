@@ -10,11 +10,27 @@ var ContextHandle = null;
 var BackCanvasHandle = null;
 var BackContextHandle = null;
 
+// Animation time in seconds, advanced by animation.js and passed to Render()
 var time = 0;
 var scale = 400; // 400 / 3200
 var ratioX = 3;
 var ratioY = 2;
 
+// Design registry, keyed by design name
+var Designs = {};
+var DesignOrder = [];
+var ActiveDesign = null;
+var DefaultDesign = "design3";
+
+// Parameter values of the active design, read by its MakePoster and Render.
+// Values are kept per design in ParamValues, so tweaks survive a switch.
+var Params = {};
+var ParamValues = {};
+
+// Seed for the shared random generator; the same seed gives the same poster
+var Seed = 1;
+var randomState = 1;
+
 // Initialize canvas, handlers, and camera
 function Init() {
     // Get context handles
@@ -38,7 +54,7 @@ function Init() {
     // Get the canvas center
     CenterX = CanvasWidth / 2;
     CenterY = CanvasHeight / 2;
-    Camera = {x: 0, y: 0, z:1};
+    ResetCamera();
 }
 
 // UpdateRender renders the design and then updates the canvas
@@ -46,9 +62,12 @@ function UpdateRender() {
     // Set background
     BackContextHandle.fillRect(0, 0, CanvasWidth, CanvasHeight);
 
-    // Render
+    // Render in world coordinates
     BackContextHandle.save();
-    Render();
+    ApplyCamera(BackContextHandle);
+    if (ActiveDesign) {
+        RenderDesign(time);
+    }
     BackContextHandle.restore();
 
     // Swap the backbuffer with the frontbuffer
@@ -56,10 +75,623 @@ function UpdateRender() {
     ContextHandle.putImageData(ImageData, 0, 0);
 }
 
-function ContRender() {
-    setTimeout(function() {
-        UpdateRender();
-        time += 5;
-        ContRender();
-    }, 10);
+// RegisterDesign adds a design to the registry. A design is an object with
+// name, MakePoster, and Scene (see MakeScene) or Render or both, and
+// optionally title, defaults (ratioX, ratioY), params (see DesignParams),
+// Activate (called before MakePoster) and Deactivate (called on switch away).
+function RegisterDesign(design) {
+    if (!Designs[design.name]) {
+        DesignOrder.push(design.name);
+    }
+    Designs[design.name] = design;
+}
+
+// ActivateDesign tears down the current design and starts the named one
+function ActivateDesign(name) {
+    var design = Designs[name];
+    if (!design) {
+        console.log("Error: ActivateDesign unknown design " + name);
+        return false;
+    }
+
+    if (ActiveDesign && ActiveDesign.Deactivate) {
+        ActiveDesign.Deactivate();
+    }
+    ActiveDesign = design;
+    Params = DesignParams(design);
+    if (typeof ShowParams === "function") {
+        ShowParams();
+    }
+
+    // Apply the design's canvas defaults before sizing the canvas
+    var defaults = design.defaults || {};
+    ratioX = defaults.ratioX || 3;
+    ratioY = defaults.ratioY || 2;
+    time = 0;
+    if (typeof UpdateAnimationControls === "function") {
+        UpdateAnimationControls();
+    }
+
+    Init();
+    if (design.Activate) {
+        design.Activate();
+    }
+    RebuildPoster();
+    return true;
+}
+
+// DesignParams returns the design's parameter values, filling in the default
+// of any not set yet. design.params is a schema keyed by parameter name:
+// {type: "number" | "color" | "boolean" | "choice", default, label, for
+// numbers min, max and step, and for choices options (value -> label)}.
+// Colors are "#rrggbb" strings. A change rebuilds the poster, unless the
+// entry has redraw: true, for params Render() applies by itself.
+function DesignParams(design) {
+    var values = ParamValues[design.name] = ParamValues[design.name] || {};
+    Object.keys(design.params || {}).forEach(function(name) {
+        if (!(name in values)) {
+            values[name] = design.params[name].default;
+        }
+    });
+    return values;
+}
+
+// RenderInto draws the active design into another 2D context of the given
+// pixel size, from the default camera, leaving the on-screen state untouched.
+// atTime picks the animation time to draw (default: the current time).
+function RenderInto(ctx, width, height, atTime) {
+    var backContext = BackContextHandle;
+    var camera = Camera;
+    BackContextHandle = ctx;
+    ResetCamera();
+
+    try {
+        ctx.save();
+        ctx.lineCap = "butt";
+        ctx.lineJoin = "round";
+        ctx.scale(width / CanvasWidth, height / CanvasHeight);
+        ctx.fillRect(0, 0, CanvasWidth, CanvasHeight);
+        if (ActiveDesign) {
+            ctx.save();
+            RenderDesign(atTime === undefined ? time : atTime);
+            ctx.restore();
+        }
+        ctx.restore();
+    } finally {
+        BackContextHandle = backContext;
+        Camera = camera;
+    }
+}
+
+// RenderDesign draws the active design at a time: its scene, then anything
+// its Render() draws on top
+function RenderDesign(atTime) {
+    if (ActiveDesign.Scene) {
+        DrawScene(ActiveDesign.Scene(atTime), atTime);
+    }
+    if (ActiveDesign.Render) {
+        ActiveDesign.Render(atTime);
+    }
+}
+
+// Shapes are plain objects a design builds in MakePoster() and hands back
+// from Scene(time) as a scene, rather than drawing them itself. Every shape
+// has a type and its geometry, in world coordinates:
+//   rect     x, y, w, h
+//   polygon  points [{x, y}, ...], closed unless closed is false
+//   line     x1, y1, x2, y2
+//   curve    x1, y1, cx1, cy1, cx2, cy2, x2, y2 (as ctx.bezierCurveTo)
+//   arc      x, y, r, start, end, anticlockwise (as ctx.arc)
+//   circle   x, y, r
+//   text     x, y, text, font, align, baseline
+//   group    children [shapes]
+// and its style: fill and stroke, each a CSS color or a gradient ({type:
+// "linear", x0, y0, x1, y1, stops} or {type: "radial", x0, y0, r0, x1, y1,
+// r1, stops}, with stops [[offset, color], ...]), lineWidth, lineCap,
+// lineJoin and alpha. Styles hold for the shape and its children: a child
+// with no fill, stroke or lineWidth of its own paints with its group's. A
+// style value, or the r of an arc or circle, can be a function of the
+// render time and the size of a screen pixel in world units (see
+// StyleValue), for animation and for sizes that hold on screen at every
+// zoom. transform ({x, y, rotate, scale}) moves a shape and everything in
+// it: translated, then rotated, then scaled. A shape is filled, then
+// stroked; text is only filled. title is shown when the pointer rests on
+// the shape.
+
+// MakeScene files shapes in draw order under their bounds, so DrawScene()
+// only draws what is on screen and ShapeAt() finds what is under a point
+function MakeScene(shapes, cellSize) {
+    var index = new SpatialGrid(cellSize || 100);
+    shapes.forEach(function(shape) {
+        var bounds = ShapeBounds(shape);
+        if (bounds) {
+            index.insert(shape, bounds);
+        }
+    });
+    return {shapes: shapes, index: index};
+}
+
+// DrawScene draws the shapes of a scene that are in view into BackContextHandle
+function DrawScene(scene, atTime) {
+    var ctx = BackContextHandle;
+    var pixel = 1 / Camera.zoom;
+    scene.index.query(ViewBounds()).forEach(function(shape) {
+        DrawShape(ctx, shape, atTime, pixel);
+    });
+}
+
+// DrawShape draws one shape, and a group's children, into a 2D context.
+// pixel is the size of a screen pixel in world units, and inherited the
+// style of the group the shape is in, from ShapeStyle().
+function DrawShape(ctx, shape, atTime, pixel, inherited) {
+    var style = ShapeStyle(shape, inherited);
+    ctx.save();
+    var t = shape.transform;
+    if (t) {
+        ctx.translate(t.x || 0, t.y || 0);
+        if (t.rotate) {
+            ctx.rotate(t.rotate);
+        }
+        if (t.scale !== undefined) {
+            ctx.scale(t.scale, t.scale);
+        }
+    }
+    if (shape.alpha !== undefined) {
+        ctx.globalAlpha *= StyleValue(shape.alpha, atTime, pixel);
+    }
+    ["lineWidth", "lineCap", "lineJoin"].forEach(function(key) {
+        if (shape[key] !== undefined) {
+            ctx[key] = StyleValue(shape[key], atTime, pixel);
+        }
+    });
+    // An inherited fill or stroke is already the context's
+    var fill = StyleValue(style.fill, atTime, pixel);
+    var stroke = StyleValue(style.stroke, atTime, pixel);
+    if (fill && shape.fill !== undefined) {
+        ctx.fillStyle = ShapePaint(ctx, fill);
+    }
+    if (stroke && shape.stroke !== undefined) {
+        ctx.strokeStyle = ShapePaint(ctx, stroke);
+    }
+
+    if (shape.type === "group") {
+        shape.children.forEach(function(child) {
+            DrawShape(ctx, child, atTime, pixel, style);
+        });
+    } else if (shape.type === "text") {
+        if (fill) {
+            ctx.font = shape.font || ctx.font;
+            ctx.textAlign = shape.align || "start";
+            ctx.textBaseline = shape.baseline || "alphabetic";
+            ctx.fillText(shape.text, shape.x, shape.y);
+        }
+    } else if (shape.type === "rect" && !stroke) {
+        // Backgrounds: also how exports tell them from outlines
+        if (fill) {
+            ctx.fillRect(shape.x, shape.y, shape.w, shape.h);
+        }
+    } else if (fill || stroke) {
+        ctx.beginPath();
+        ShapePath(ctx, shape, StyleValue(shape.r, atTime, pixel));
+        if (fill) {
+            ctx.fill();
+        }
+        if (stroke) {
+            ctx.stroke();
+        }
+    }
+    ctx.restore();
+}
+
+// ShapePath adds a shape's outline to the context's current path, with r
+// the radius of an arc or circle as read by StyleValue()
+function ShapePath(ctx, shape, r) {
+    switch (shape.type) {
+        case "rect":
+            ctx.moveTo(shape.x, shape.y);
+            ctx.lineTo(shape.x + shape.w, shape.y);
+            ctx.lineTo(shape.x + shape.w, shape.y + shape.h);
+            ctx.lineTo(shape.x, shape.y + shape.h);
+            ctx.closePath();
+            break;
+        case "polygon":
+            var points = shape.points;
+            ctx.moveTo(points[0].x, points[0].y);
+            for (var i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            if (shape.closed !== false) {
+                ctx.closePath();
+            }
+            break;
+        case "line":
+            ctx.moveTo(shape.x1, shape.y1);
+            ctx.lineTo(shape.x2, shape.y2);
+            break;
+        case "curve":
+            ctx.moveTo(shape.x1, shape.y1);
+            ctx.bezierCurveTo(shape.cx1, shape.cy1, shape.cx2, shape.cy2, shape.x2, shape.y2);
+            break;
+        case "arc":
+            ctx.arc(shape.x, shape.y, r, shape.start, shape.end, shape.anticlockwise);
+            break;
+        case "circle":
+            ctx.arc(shape.x, shape.y, r, 0, 2 * Math.PI);
+            break;
+        default:
+            console.log("Error: ShapePath unknown shape type " + shape.type);
+    }
+}
+
+// ShapeStyle is the fill, stroke and lineWidth a shape paints with: its
+// own, or else those it inherits from its group (undefined at the top)
+function ShapeStyle(shape, inherited) {
+    inherited = inherited || {};
+    return {
+        fill: shape.fill !== undefined ? shape.fill : inherited.fill,
+        stroke: shape.stroke !== undefined ? shape.stroke : inherited.stroke,
+        lineWidth: shape.lineWidth !== undefined ? shape.lineWidth : inherited.lineWidth,
+    };
+}
+
+// StyleValue reads a style value. A function is called with the time and
+// the size of a screen pixel in world units, so a line width of
+// function(time, pixel) { return pixel; } stays one pixel wide at any zoom.
+function StyleValue(value, atTime, pixel) {
+    return typeof value === "function" ? value(atTime, pixel) : value;
+}
+
+// ShapePaint turns a color or gradient spec into a fill or stroke style
+function ShapePaint(ctx, paint) {
+    if (typeof paint !== "object") {
+        return paint;
+    }
+    var gradient = paint.type === "radial" ?
+        ctx.createRadialGradient(paint.x0, paint.y0, paint.r0, paint.x1, paint.y1, paint.r1) :
+        ctx.createLinearGradient(paint.x0, paint.y0, paint.x1, paint.y1);
+    paint.stops.forEach(function(stop) {
+        gradient.addColorStop(stop[0], stop[1]);
+    });
+    return gradient;
+}
+
+// ShapeTransform maps a point through a shape's transform (or back, with invert)
+function ShapeTransform(shape, p, invert) {
+    var t = shape.transform;
+    if (!t) {
+        return p;
+    }
+    var angle = t.rotate || 0;
+    var k = t.scale === undefined ? 1 : t.scale;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    if (invert) {
+        var dx = p.x - (t.x || 0);
+        var dy = p.y - (t.y || 0);
+        return {x: (dx * cos + dy * sin) / k, y: (dy * cos - dx * sin) / k};
+    }
+    return {
+        x: (p.x * cos - p.y * sin) * k + (t.x || 0),
+        y: (p.x * sin + p.y * cos) * k + (t.y || 0),
+    };
+}
+
+// ShapeBounds returns the box a shape can paint, in its parent's
+// coordinates, or null for an empty group. inherited is as for DrawShape().
+// Text is estimated from its font size. Functions are read at time 0 with a
+// pixel size of 0, so sizes that only hold on screen count for nothing.
+function ShapeBounds(shape, inherited) {
+    var style = ShapeStyle(shape, inherited);
+    var box;
+    var r;
+    switch (shape.type) {
+        case "rect":
+            box = {xMin: Math.min(shape.x, shape.x + shape.w), yMin: Math.min(shape.y, shape.y + shape.h),
+                xMax: Math.max(shape.x, shape.x + shape.w), yMax: Math.max(shape.y, shape.y + shape.h)};
+            break;
+        case "polygon":
+            box = {xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity};
+            shape.points.forEach(function(p) {
+                box.xMin = Math.min(box.xMin, p.x);
+                box.yMin = Math.min(box.yMin, p.y);
+                box.xMax = Math.max(box.xMax, p.x);
+                box.yMax = Math.max(box.yMax, p.y);
+            });
+            break;
+        case "line":
+            box = {xMin: Math.min(shape.x1, shape.x2), yMin: Math.min(shape.y1, shape.y2),
+                xMax: Math.max(shape.x1, shape.x2), yMax: Math.max(shape.y1, shape.y2)};
+            break;
+        case "curve":
+            // The curve stays inside the hull of its control points
+            var xs = [shape.x1, shape.cx1, shape.cx2, shape.x2];
+            var ys = [shape.y1, shape.cy1, shape.cy2, shape.y2];
+            box = {xMin: Math.min.apply(null, xs), yMin: Math.min.apply(null, ys),
+                xMax: Math.max.apply(null, xs), yMax: Math.max.apply(null, ys)};
+            break;
+        case "arc":
+        case "circle":
+            r = StyleValue(shape.r, 0, 0);
+            box = {xMin: shape.x - r, yMin: shape.y - r, xMax: shape.x + r, yMax: shape.y + r};
+            break;
+        case "text":
+            var size = Number((String(shape.font || "10px").match(/([\d.]+)px/) || [0, 10])[1]);
+            r = size * String(shape.text).length;
+            box = {xMin: shape.x - r, yMin: shape.y - 2 * size, xMax: shape.x + r, yMax: shape.y + 2 * size};
+            break;
+        case "group":
+            shape.children.forEach(function(child) {
+                var b = ShapeBounds(child, style);
+                if (b) {
+                    box = box ? UnionBounds(box, b) : b;
+                }
+            });
+            if (!box) {
+                return null;
+            }
+            break;
+        default:
+            return null;
+    }
+
+    // A group's children are padded by the strokes they paint with
+    var stroked = shape.type !== "group" && style.stroke;
+    var pad = stroked ? (StyleValue(style.lineWidth, 0, 0) || 0) / 2 : 0;
+    box = {xMin: box.xMin - pad, yMin: box.yMin - pad, xMax: box.xMax + pad, yMax: box.yMax + pad};
+    if (!shape.transform) {
+        return box;
+    }
+    var corners = [[box.xMin, box.yMin], [box.xMax, box.yMin], [box.xMax, box.yMax], [box.xMin, box.yMax]];
+    var out = null;
+    corners.forEach(function(c) {
+        var p = ShapeTransform(shape, {x: c[0], y: c[1]});
+        var b = {xMin: p.x, yMin: p.y, xMax: p.x, yMax: p.y};
+        out = out ? UnionBounds(out, b) : b;
+    });
+    return out;
+}
+
+function UnionBounds(a, b) {
+    return {
+        xMin: Math.min(a.xMin, b.xMin),
+        yMin: Math.min(a.yMin, b.yMin),
+        xMax: Math.max(a.xMax, b.xMax),
+        yMax: Math.max(a.yMax, b.yMax),
+    };
+}
+
+// PickShape returns the topmost shape of a scene painted at a world point,
+// or null. Strokes count within half their width (at least slop), and
+// shapes within slop of the point are tried even when sizes that hold on
+// screen leave them out of their bounds. pixel is as for DrawShape().
+function PickShape(scene, point, slop, pixel) {
+    slop = slop || 0;
+    var box = {xMin: point.x - slop, yMin: point.y - slop, xMax: point.x + slop, yMax: point.y + slop};
+    var shapes = scene.index.query(box);
+    for (var i = shapes.length - 1; i >= 0; i--) {
+        if (HitShape(shapes[i], point, slop, pixel || 0)) {
+            return shapes[i];
+        }
+    }
+    return null;
+}
+
+// HitShape tells whether a shape (or any of a group's children) paints a
+// point given in its parent's coordinates. pixel and inherited are as for
+// DrawShape(). Styles are read at time 0.
+function HitShape(shape, point, slop, pixel, inherited) {
+    var style = ShapeStyle(shape, inherited);
+    var p = ShapeTransform(shape, point, true);
+    if (shape.type === "group") {
+        return shape.children.some(function(child) {
+            return HitShape(child, p, slop, pixel, style);
+        });
+    }
+
+    var fill = StyleValue(style.fill, 0, pixel);
+    var stroke = StyleValue(style.stroke, 0, pixel);
+    var reach = Math.max(slop, stroke ? (StyleValue(style.lineWidth, 0, pixel) || 1) / 2 : 0);
+    var r = StyleValue(shape.r, 0, pixel);
+    var d;
+    switch (shape.type) {
+        case "rect":
+            var corners = [{x: shape.x, y: shape.y}, {x: shape.x + shape.w, y: shape.y},
+                {x: shape.x + shape.w, y: shape.y + shape.h}, {x: shape.x, y: shape.y + shape.h}];
+            return (fill && InPolygon(corners, p)) || (stroke && PolylineDistance(corners, true, p) <= reach);
+        case "polygon":
+            var closed = shape.closed !== false;
+            return (fill && InPolygon(shape.points, p)) || (stroke && PolylineDistance(shape.points, closed, p) <= reach);
+        case "line":
+            return stroke && PolylineDistance([{x: shape.x1, y: shape.y1}, {x: shape.x2, y: shape.y2}], false, p) <= reach;
+        case "curve":
+            return stroke && PolylineDistance(CurvePoints(shape, 16), false, p) <= reach;
+        case "circle":
+            d = Math.sqrt((p.x - shape.x) * (p.x - shape.x) + (p.y - shape.y) * (p.y - shape.y));
+            return (fill && d <= r) || (stroke && Math.abs(d - r) <= reach);
+        case "arc":
+            d = Math.sqrt((p.x - shape.x) * (p.x - shape.x) + (p.y - shape.y) * (p.y - shape.y));
+            var pi2 = 2 * Math.PI;
+            var from = shape.anticlockwise ? shape.end : shape.start;
+            var sweep = shape.anticlockwise ? shape.start - shape.end : shape.end - shape.start;
+            sweep = sweep >= pi2 ? pi2 : ((sweep % pi2) + pi2) % pi2;
+            var along = ((Math.atan2(p.y - shape.y, p.x - shape.x) - from) % pi2 + pi2) % pi2;
+            return along <= sweep && ((fill && d <= r) || (stroke && Math.abs(d - r) <= reach));
+        case "text":
+            var b = ShapeBounds({type: "text", x: shape.x, y: shape.y, text: shape.text, font: shape.font});
+            return fill && p.x >= b.xMin && p.x <= b.xMax && p.y >= b.yMin && p.y <= b.yMax;
+    }
+    return false;
+}
+
+// CurvePoints flattens a curve shape into a polyline of the given number of
+// segments
+function CurvePoints(shape, segments) {
+    var points = [];
+    for (var i = 0; i <= segments; i++) {
+        var t = i / segments;
+        var u = 1 - t;
+        // Bernstein weights of the four control points
+        var w = [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+        points.push({
+            x: w[0] * shape.x1 + w[1] * shape.cx1 + w[2] * shape.cx2 + w[3] * shape.x2,
+            y: w[0] * shape.y1 + w[1] * shape.cy1 + w[2] * shape.cy2 + w[3] * shape.y2,
+        });
+    }
+    return points;
+}
+
+// InPolygon tests a point against a polygon by the even-odd rule
+function InPolygon(points, p) {
+    var inside = false;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+        var a = points[i];
+        var b = points[j];
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// PolylineDistance is the distance from a point to the nearest segment
+function PolylineDistance(points, closed, p) {
+    var best = Infinity;
+    var count = closed ? points.length : points.length - 1;
+    for (var i = 0; i < count; i++) {
+        var a = points[i];
+        var b = points[(i + 1) % points.length];
+        var dx = b.x - a.x;
+        var dy = b.y - a.y;
+        var t = dx || dy ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy) : 0;
+        t = Math.max(0, Math.min(1, t));
+        var x = a.x + t * dx - p.x;
+        var y = a.y + t * dy - p.y;
+        best = Math.min(best, Math.sqrt(x * x + y * y));
+    }
+    return best;
 }
+
+// ShapeAt returns the topmost shape of the active design's scene under a
+// canvas pixel point, or null
+function ShapeAt(point) {
+    if (!ActiveDesign || !ActiveDesign.Scene || !point) {
+        return null;
+    }
+    return PickShape(ActiveDesign.Scene(time), ScreenToWorld(point.x, point.y), 2 / Camera.zoom, 1 / Camera.zoom);
+}
+
+// RebuildPoster reseeds the random generator and rebuilds the active design
+function RebuildPoster() {
+    if (!ActiveDesign) {
+        return;
+    }
+    SeedRandom(Seed);
+    ActiveDesign.MakePoster();
+    UpdateRender();
+}
+
+// ParseSeed turns a number or any string into an unsigned 32-bit seed
+function ParseSeed(value) {
+    var str = String(value).trim();
+    if (/^\d+$/.test(str)) {
+        return Number(str) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    var hash = 2166136261;
+    for (var i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// SeedRandom restarts the generator used by Random()
+function SeedRandom(seed) {
+    randomState = ParseSeed(seed);
+}
+
+// Random is a seedable replacement for Math.random (mulberry32)
+function Random() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    var t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// NewSeed picks a fresh seed for the next poster
+function NewSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// DesignFromLocation reads the design name from a /design/<name> route
+function DesignFromLocation() {
+    var match = window.location.pathname.match(/^\/design\/([^\/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// SeedFromLocation reads the seed from the ?seed= query param
+function SeedFromLocation() {
+    var seed = new URLSearchParams(window.location.search).get("seed");
+    return seed === null || seed === "" ? null : ParseSeed(seed);
+}
+
+// LocationFor builds the shareable URL for a design and the current seed
+function LocationFor(name) {
+    var params = new URLSearchParams(window.location.search);
+    params.set("seed", Seed);
+    return "/design/" + encodeURIComponent(name) + "?" + params.toString();
+}
+
+$( document ).ready(function() {
+    var $select = $('#design-select');
+    var $seed = $('#seed-input');
+
+    $.each(DesignOrder, function(i, name) {
+        $select.append($('<option>').val(name).text(Designs[name].title || name));
+    });
+
+    function show(name) {
+        if (!Designs[name]) {
+            name = DefaultDesign;
+        }
+        var seed = SeedFromLocation();
+        Seed = seed === null ? NewSeed() : seed;
+        $seed.val(Seed);
+        $select.val(name);
+        window.history.replaceState({design: name}, "", LocationFor(name));
+        ActivateDesign(name);
+    }
+
+    function reseed(seed) {
+        Seed = seed;
+        $seed.val(Seed);
+        window.history.replaceState({design: ActiveDesign.name}, "", LocationFor(ActiveDesign.name));
+        RebuildPoster();
+    }
+
+    $seed.on('change', function() {
+        reseed(ParseSeed($seed.val()));
+        $seed.blur();
+    });
+
+    $('#seed-new').on('click', function() {
+        reseed(NewSeed());
+    });
+
+    $select.on('change', function() {
+        var name = $select.val();
+        window.history.pushState({design: name}, "", LocationFor(name));
+        ActivateDesign(name);
+
+        // Hand arrow keys back to the camera
+        $select.blur();
+    });
+
+    $( window ).on('popstate', function() {
+        show(DesignFromLocation());
+    });
+
+    show(DesignFromLocation());
+});
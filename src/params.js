@@ -0,0 +1,88 @@
+// Parameter panel: a control for each entry of the active design's params
+// schema in #design-params (a slider for numbers, a color picker for colors,
+// a checkbox for booleans, a dropdown for choices). Changes rebuild the
+// poster from the same seed, or only redraw it for params marked redraw.
+
+// Frame that will rebuild or redraw the poster for the latest changes (null
+// when none), and whether any of them needs a rebuild
+var paramsFrame = null;
+var paramsRebuild = false;
+
+// ShowParams fills the panel for the active design, or empties it
+function ShowParams() {
+    var $panel = $('#design-params').empty();
+    var schema = ActiveDesign && ActiveDesign.params;
+    if (!schema) {
+        return;
+    }
+
+    $.each(schema, function(name, spec) {
+        $panel.append(paramControl(name, spec));
+    });
+    $panel.append($('<button type="button">').text("Defaults").on('click', function() {
+        $.each(schema, function(name, spec) {
+            Params[name] = spec.default;
+        });
+        ShowParams();
+        updateForParams(true);
+    }));
+}
+
+// paramControl builds the labelled input for one parameter
+function paramControl(name, spec) {
+    var $label = $('<label>').text((spec.label || name) + " ");
+    var $input;
+    if (spec.type === "boolean") {
+        $input = $('<input type="checkbox">').prop('checked', Params[name]).on('change', function() {
+            setParam(name, this.checked);
+        });
+    } else if (spec.type === "choice") {
+        $input = $('<select>');
+        $.each(spec.options, function(value, text) {
+            $input.append($('<option>').val(value).text(text));
+        });
+        $input.val(Params[name]).on('change', function() {
+            setParam(name, this.value);
+            // Hand arrow keys back to the camera
+            $(this).blur();
+        });
+    } else if (spec.type === "color") {
+        $input = $('<input type="color">').val(Params[name]).on('input', function() {
+            setParam(name, this.value);
+        });
+    } else {
+        var $value = $('<span class="param-value">').text(Params[name]);
+        $input = $('<input type="range">').attr({min: spec.min, max: spec.max, step: spec.step || "any"})
+            .val(Params[name]).on('input', function() {
+                $value.text(this.value);
+                setParam(name, Number(this.value));
+            });
+        return $label.append($input, " ", $value);
+    }
+    return $label.append($input);
+}
+
+function setParam(name, value) {
+    Params[name] = value;
+    updateForParams(!ActiveDesign.params[name].redraw);
+}
+
+// updateForParams rebuilds the poster, or only redraws it when no change
+// since the last frame needs a rebuild, at most once a frame, however fast a
+// slider moves
+function updateForParams(rebuild) {
+    paramsRebuild = paramsRebuild || rebuild;
+    if (paramsFrame !== null) {
+        return;
+    }
+    paramsFrame = window.requestAnimationFrame(function() {
+        var rebuild = paramsRebuild;
+        paramsFrame = null;
+        paramsRebuild = false;
+        if (rebuild) {
+            RebuildPoster();
+        } else {
+            UpdateRender();
+        }
+    });
+}
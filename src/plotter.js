@@ -0,0 +1,436 @@
+// Pen plotter output: records the poster's lines with PlotterContext
+// (plotterContext.js), drops duplicate segments, joins segments that share
+// endpoints into long polylines, orders them to keep pen-up travel short
+// (nearest neighbour, then 2-opt) and writes HPGL, G-code or a single-stroke
+// SVG at the export paper size.
+
+// Points closer than this (canvas pixels) are the same point, and curves are
+// flattened to within it
+var PlotTolerance = 0.25;
+
+// 2-opt tries reversing runs of up to TwoOptWindow paths, for at most
+// TwoOptPasses passes over the route
+var TwoOptWindow = 50;
+var TwoOptPasses = 3;
+
+// HPGL plotter units per millimetre
+var HPGLUnitsPerMm = 40;
+
+// G-code moves: the pen is raised and lowered on Z, and draws at feed mm/min
+var GCodePen = {up: "G0 Z5", down: "G1 Z0 F1000", feed: 3000};
+
+// Line width of single-stroke SVGs, in millimetres
+var PlotPenWidth = 0.3;
+
+// PlotPoster records the active design and optimizes its paths for a pen
+// plotter. Returns {paths (polylines in canvas pixels, in pen order), size
+// (from PosterSize), mmPerPx, stats: {strokes, paths, drawn, travelBefore,
+// travelAfter} (lengths in mm)}, or null when there is nothing to plot.
+function PlotPoster(paper) {
+    var size = PosterSize(paper, 72);
+    if (!ActiveDesign || !size) {
+        return null;
+    }
+
+    var recorder = new PlotterContext(CanvasWidth, CanvasHeight, PlotTolerance);
+    RenderInto(recorder, CanvasWidth, CanvasHeight);
+
+    // Plotters start at their lower left corner
+    var origin = {x: 0, y: CanvasHeight};
+    var paths = OrderPaths(MergePaths(recorder.paths, PlotTolerance), origin);
+    var mmPerPx = size.mmW / CanvasWidth;
+    var drawn = 0;
+    paths.forEach(function(path) {
+        for (var i = 1; i < path.length; i++) {
+            drawn += PlotDistance(path[i - 1], path[i]);
+        }
+    });
+
+    return {
+        paths: paths,
+        size: size,
+        mmPerPx: mmPerPx,
+        stats: {
+            strokes: recorder.paths.length,
+            paths: paths.length,
+            drawn: drawn * mmPerPx,
+            travelBefore: TravelLength(recorder.paths, origin) * mmPerPx,
+            travelAfter: TravelLength(paths, origin) * mmPerPx,
+        },
+    };
+}
+
+// MergePaths splits polylines into segments, drops repeated segments (in
+// either direction) and chains the rest into as few polylines as it can:
+// trails start at the loose ends first, and at every junction carry on along
+// the straightest segment left
+function MergePaths(paths, tolerance) {
+    // Nodes by tolerance-sized cell, so points just either side of a cell
+    // border still meet
+    var cells = new Map();
+    var nodes = [];
+    var seen = new Set();
+
+    // nodeAt returns the nearest node within tolerance of p, searching p's
+    // cell and the eight around it, or a new node at p
+    function nodeAt(p) {
+        var cx = Math.floor(p.x / tolerance);
+        var cy = Math.floor(p.y / tolerance);
+        var best = null;
+        var bestDistance = tolerance;
+        for (var x = cx - 1; x <= cx + 1; x++) {
+            for (var y = cy - 1; y <= cy + 1; y++) {
+                (cells.get(x + "," + y) || []).forEach(function(node) {
+                    var d = Math.hypot(node.x - p.x, node.y - p.y);
+                    if (d <= bestDistance) {
+                        best = node;
+                        bestDistance = d;
+                    }
+                });
+            }
+        }
+        if (!best) {
+            best = {key: nodes.length, x: p.x, y: p.y, edges: [], free: 0};
+            nodes.push(best);
+            var key = cx + "," + cy;
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(best);
+        }
+        return best;
+    }
+
+    paths.forEach(function(path) {
+        for (var i = 1; i < path.length; i++) {
+            var a = nodeAt(path[i - 1]);
+            var b = nodeAt(path[i]);
+            var id = a.key < b.key ? a.key + " " + b.key : b.key + " " + a.key;
+            if (a === b || seen.has(id)) {
+                continue;
+            }
+            seen.add(id);
+            var edge = {a: a, b: b, used: false};
+            a.edges.push(edge);
+            b.edges.push(edge);
+            a.free++;
+            b.free++;
+        }
+    });
+
+    var merged = [];
+    function walk(node) {
+        var points = [{x: node.x, y: node.y}];
+        var dx = 0;
+        var dy = 0;
+        for (;;) {
+            var best = null;
+            var bestTurn = Infinity;
+            for (var i = 0; i < node.edges.length; i++) {
+                var edge = node.edges[i];
+                if (edge.used) {
+                    continue;
+                }
+                var to = edge.a === node ? edge.b : edge.a;
+                var ex = to.x - node.x;
+                var ey = to.y - node.y;
+                var turn = -(dx * ex + dy * ey) / Math.sqrt(ex * ex + ey * ey);
+                if (turn < bestTurn) {
+                    best = edge;
+                    bestTurn = turn;
+                }
+            }
+            if (!best) {
+                break;
+            }
+            var next = best.a === node ? best.b : best.a;
+            best.used = true;
+            node.free--;
+            next.free--;
+            var length = PlotDistance(node, next);
+            dx = (next.x - node.x) / length;
+            dy = (next.y - node.y) / length;
+            node = next;
+            points.push({x: node.x, y: node.y});
+        }
+        merged.push(SimplifyPath(points, tolerance / 10));
+    }
+
+    // A trail from an odd node ends at another, so open paths come out whole
+    // before what is left, which is all loops
+    nodes.forEach(function(node) {
+        if (node.free % 2) {
+            walk(node);
+        }
+    });
+    nodes.forEach(function(node) {
+        while (node.free) {
+            walk(node);
+        }
+    });
+    return merged;
+}
+
+// SimplifyPath drops points that lie within tolerance of the straight line
+// between their neighbours
+function SimplifyPath(points, tolerance) {
+    if (points.length < 3) {
+        return points;
+    }
+    var out = [points[0]];
+    for (var i = 1; i < points.length - 1; i++) {
+        var a = out[out.length - 1];
+        var b = points[i];
+        var c = points[i + 1];
+        var length = PlotDistance(a, c);
+        var offset = Math.abs((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x));
+        var between = (b.x - a.x) * (c.x - a.x) + (b.y - a.y) * (c.y - a.y) > 0;
+        if (!(length > 0 && between && offset / length <= tolerance)) {
+            out.push(b);
+        }
+    }
+    out.push(points[points.length - 1]);
+    return out;
+}
+
+// OrderPaths puts the paths in pen order from the start point: always on to
+// the nearest free end (reversing the path when it is the far end), then
+// 2-opt, which reverses runs of the route while that shortens the travel.
+// Returns new arrays; paths drawn backwards are reversed copies.
+function OrderPaths(paths, from) {
+    if (!paths.length) {
+        return [];
+    }
+
+    // Grid of path ends, for the nearest free one
+    var xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+    paths.forEach(function(path) {
+        [path[0], path[path.length - 1]].forEach(function(p) {
+            xMin = Math.min(xMin, p.x);
+            yMin = Math.min(yMin, p.y);
+            xMax = Math.max(xMax, p.x);
+            yMax = Math.max(yMax, p.y);
+        });
+    });
+    var cell = Math.max(1, Math.sqrt((xMax - xMin + 1) * (yMax - yMin + 1) / paths.length));
+    var cells = new Map();
+    function cellKey(x, y) {
+        return Math.floor(x / cell) + "," + Math.floor(y / cell);
+    }
+    paths.forEach(function(path, i) {
+        [0, 1].forEach(function(end) {
+            var p = end ? path[path.length - 1] : path[0];
+            var key = cellKey(p.x, p.y);
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push({index: i, end: end, point: p});
+        });
+    });
+
+    var done = new Array(paths.length);
+    var route = [];
+    var at = from;
+    var gx0 = Math.floor(xMin / cell), gx1 = Math.floor(xMax / cell);
+    var gy0 = Math.floor(yMin / cell), gy1 = Math.floor(yMax / cell);
+    for (var n = 0; n < paths.length; n++) {
+        var cx = Math.floor(at.x / cell);
+        var cy = Math.floor(at.y / cell);
+        var rings = Math.max(cx - gx0, gx1 - cx, cy - gy0, gy1 - cy, 0);
+        var best = null;
+        var bestDistance = Infinity;
+        for (var r = 0; r <= rings; r++) {
+            for (var x = cx - r; x <= cx + r; x++) {
+                // Inside columns of the ring only have their top and bottom cells
+                var stride = Math.abs(x - cx) === r ? 1 : 2 * r;
+                for (var y = cy - r; y <= cy + r; y += stride) {
+                    var ends = cells.get(x + "," + y);
+                    if (!ends) {
+                        continue;
+                    }
+                    for (var i = 0; i < ends.length; i++) {
+                        var candidate = ends[i];
+                        if (done[candidate.index]) {
+                            continue;
+                        }
+                        var d = PlotDistance(at, candidate.point);
+                        if (d < bestDistance) {
+                            best = candidate;
+                            bestDistance = d;
+                        }
+                    }
+                }
+            }
+            // Anything past this ring is at least r cells away
+            if (best && bestDistance <= r * cell) {
+                break;
+            }
+        }
+        done[best.index] = true;
+        var step = {path: paths[best.index], reversed: best.end === 1};
+        route.push(step);
+        at = routeEnd(step);
+    }
+
+    TwoOpt(route, from);
+    return route.map(function(step) {
+        return step.reversed ? step.path.slice().reverse() : step.path;
+    });
+}
+
+function routeStart(step) {
+    return step.reversed ? step.path[step.path.length - 1] : step.path[0];
+}
+
+function routeEnd(step) {
+    return step.reversed ? step.path[0] : step.path[step.path.length - 1];
+}
+
+// TwoOpt reverses runs route[i..j] (and each path in them) whenever that
+// shortens the pen-up moves into and out of the run
+function TwoOpt(route, from) {
+    for (var pass = 0; pass < TwoOptPasses; pass++) {
+        var improved = false;
+        for (var i = 0; i < route.length - 1; i++) {
+            var before = i ? routeEnd(route[i - 1]) : from;
+            var last = Math.min(route.length - 1, i + TwoOptWindow);
+            for (var j = i + 1; j <= last; j++) {
+                var after = j + 1 < route.length ? routeStart(route[j + 1]) : null;
+                var old = PlotDistance(before, routeStart(route[i])) + (after ? PlotDistance(routeEnd(route[j]), after) : 0);
+                var now = PlotDistance(before, routeEnd(route[j])) + (after ? PlotDistance(routeStart(route[i]), after) : 0);
+                if (now < old - 1e-9) {
+                    reverseRun(route, i, j);
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) {
+            break;
+        }
+    }
+}
+
+// reverseRun turns route[i..j] around in place, each path with it
+function reverseRun(route, i, j) {
+    for (; i <= j; i++, j--) {
+        var a = route[i];
+        var b = route[j];
+        route[i] = {path: b.path, reversed: !b.reversed};
+        route[j] = {path: a.path, reversed: !a.reversed};
+    }
+}
+
+// TravelLength is the pen-up distance to draw the paths in order from a start point
+function TravelLength(paths, from) {
+    var total = 0;
+    var at = from;
+    paths.forEach(function(path) {
+        total += PlotDistance(at, path[0]);
+        at = path[path.length - 1];
+    });
+    return total;
+}
+
+function PlotDistance(a, b) {
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// ============================================================================
+// Writers: plotter coordinates are millimetres from the lower left corner
+// ============================================================================
+
+function PlotToHPGL(plot) {
+    var k = plot.mmPerPx * HPGLUnitsPerMm;
+    function xy(p) {
+        return Math.round(p.x * k) + "," + Math.round((CanvasHeight - p.y) * k);
+    }
+    var out = ["IN;", "SP1;"];
+    plot.paths.forEach(function(path) {
+        out.push("PU" + xy(path[0]) + ";");
+        out.push("PD" + path.slice(1).map(xy).join(",") + ";");
+    });
+    out.push("PU0,0;", "SP0;");
+    return out.join("\n") + "\n";
+}
+
+function PlotToGCode(plot) {
+    var k = plot.mmPerPx;
+    function xy(p) {
+        return "X" + (p.x * k).toFixed(3) + " Y" + ((CanvasHeight - p.y) * k).toFixed(3);
+    }
+    var out = [
+        "; " + ExportFileName("gcode") + ", " + plot.size.mmW.toFixed(1) + " x " + plot.size.mmH.toFixed(1) + " mm",
+        "G21 ; millimetres",
+        "G90 ; absolute positions",
+        GCodePen.up,
+    ];
+    plot.paths.forEach(function(path) {
+        out.push("G0 " + xy(path[0]));
+        out.push(GCodePen.down);
+        path.slice(1).forEach(function(p, i) {
+            out.push("G1 " + xy(p) + (i ? "" : " F" + GCodePen.feed));
+        });
+        out.push(GCodePen.up);
+    });
+    out.push("G0 X0 Y0", "M2");
+    return out.join("\n") + "\n";
+}
+
+// PlotToSVG writes one unfilled path per polyline, in pen order
+function PlotToSVG(plot) {
+    function num(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+    var paths = plot.paths.map(function(path) {
+        return '<path d="M' + path.map(function(p) {
+            return num(p.x) + " " + num(p.y);
+        }).join("L") + '"/>';
+    });
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<svg xmlns="http://www.w3.org/2000/svg" version="1.1"' +
+        ' width="' + plot.size.mmW.toFixed(1) + 'mm" height="' + plot.size.mmH.toFixed(1) + 'mm"' +
+        ' viewBox="0 0 ' + CanvasWidth + ' ' + CanvasHeight + '">\n' +
+        '<g fill="none" stroke="black" stroke-width="' + num(PlotPenWidth / plot.mmPerPx) + '" stroke-linecap="round" stroke-linejoin="round">\n' +
+        paths.join("\n") + "\n</g>\n</svg>\n";
+}
+
+// Plotter file formats: extension, MIME type and writer
+var PlotFormats = {
+    hpgl: {ext: "hpgl", type: "application/vnd.hp-hpgl", write: PlotToHPGL},
+    gcode: {ext: "gcode", type: "text/x-gcode", write: PlotToGCode},
+    svg: {ext: "plot.svg", type: "image/svg+xml", write: PlotToSVG},
+};
+
+// ExportPlot downloads the poster as a plotter file and notes how much
+// pen-up travel the ordering saved
+function ExportPlot(paper, format) {
+    var plotFormat = PlotFormats[format];
+    var plot = plotFormat && PlotPoster(paper);
+    if (!plot) {
+        return;
+    }
+
+    var blob = new Blob([plotFormat.write(plot)], {type: plotFormat.type});
+    DownloadURL(URL.createObjectURL(blob), ExportFileName(plotFormat.ext));
+    var stats = plot.stats;
+    $('#image').append(document.createTextNode(
+        " – " + stats.paths + " paths from " + stats.strokes + " strokes, " +
+        (stats.drawn / 1000).toFixed(1) + " m drawn, pen-up travel " +
+        (stats.travelBefore / 1000).toFixed(1) + " m → " + (stats.travelAfter / 1000).toFixed(1) + " m"));
+}
+
+$( document ).ready(function() {
+    var $paper = $('#export-paper');
+
+    $('#export-hpgl').on('click', function() {
+        ExportPlot($paper.val(), "hpgl");
+    });
+    $('#export-gcode').on('click', function() {
+        ExportPlot($paper.val(), "gcode");
+    });
+    $('#export-plot-svg').on('click', function() {
+        ExportPlot($paper.val(), "svg");
+    });
+});
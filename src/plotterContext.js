@@ -0,0 +1,194 @@
+// PlotterContext stands in for BackContextHandle like SVGContext, but keeps
+// only the lines a pen would draw: the outline of everything stroked or
+// filled, as polylines in canvas pixels, clipped to the canvas.
+//
+//     var plot = new PlotterContext(CanvasWidth, CanvasHeight, 0.25);
+//     RenderInto(plot, CanvasWidth, CanvasHeight);
+//     plot.paths; // [[{x, y}, ...], ...]
+//
+// Arcs and curves are flattened to within tolerance pixels of the real
+// curve. fillRect() and clearRect() paint backgrounds and text has no single
+// stroke font, so they leave no lines. State and transforms are SVGContext's.
+(function() {
+    function PlotterContext(width, height, tolerance) {
+        SVGContext.call(this, width, height);
+        this.tolerance = tolerance || 0.25;
+        this.paths = [];
+    }
+
+    PlotterContext.prototype = Object.create(SVGContext.prototype);
+    PlotterContext.prototype.constructor = PlotterContext;
+
+    // ============================================================================
+    // Paths: the current path is a list of subpaths, each a list of points
+    // ============================================================================
+
+    PlotterContext.prototype.beginPath = function() {
+        this._path = [];
+        this._current = null;
+    };
+
+    PlotterContext.prototype.moveTo = function(x, y) {
+        var p = this._point(x, y);
+        this._path.push([p]);
+        this._current = p;
+    };
+
+    PlotterContext.prototype.lineTo = function(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        var p = this._point(x, y);
+        this._path[this._path.length - 1].push(p);
+        this._current = p;
+    };
+
+    PlotterContext.prototype.bezierCurveTo = function(c1x, c1y, c2x, c2y, x, y) {
+        if (!this._current) {
+            this.moveTo(c1x, c1y);
+        }
+        var p0 = this._current;
+        var c1 = this._point(c1x, c1y);
+        var c2 = this._point(c2x, c2y);
+        var p3 = this._point(x, y);
+
+        // The control polygon bounds the curve's length
+        var length = distance(p0, c1) + distance(c1, c2) + distance(c2, p3);
+        var steps = Math.min(100, Math.max(1, Math.ceil(Math.sqrt(length / this.tolerance))));
+        var subpath = this._path[this._path.length - 1];
+        for (var i = 1; i <= steps; i++) {
+            var t = i / steps;
+            var u = 1 - t;
+            subpath.push({
+                x: u*u*u*p0.x + 3*u*u*t*c1.x + 3*u*t*t*c2.x + t*t*t*p3.x,
+                y: u*u*u*p0.y + 3*u*u*t*c1.y + 3*u*t*t*c2.y + t*t*t*p3.y,
+            });
+        }
+        this._current = p3;
+    };
+
+    // closePath returns to the subpath's start, where the next one begins
+    PlotterContext.prototype.closePath = function() {
+        var subpath = this._path[this._path.length - 1];
+        if (!subpath) {
+            return;
+        }
+        var first = subpath[0];
+        subpath.push(first);
+        this._path.push([first]);
+        this._current = first;
+    };
+
+    PlotterContext.prototype.arc = function(x, y, r, start, end, anticlockwise) {
+        var pi2 = 2 * Math.PI;
+        var sweep = anticlockwise ? start - end : end - start;
+        if (sweep < pi2) {
+            // Canvas wraps partial sweeps into [0, 2π)
+            sweep = ((sweep % pi2) + pi2) % pi2;
+        } else {
+            sweep = pi2;
+        }
+
+        var first = {x: x + r * Math.cos(start), y: y + r * Math.sin(start)};
+        if (this._current) {
+            this.lineTo(first.x, first.y);
+        } else {
+            this.moveTo(first.x, first.y);
+        }
+        if (sweep === 0 || r <= 0) {
+            return;
+        }
+
+        // Chords whose middle strays at most tolerance from the circle
+        var radius = r * this._scale();
+        var maxStep = radius > this.tolerance ? 2 * Math.acos(1 - this.tolerance / radius) : Math.PI / 2;
+        var steps = Math.max(1, Math.ceil(sweep / maxStep));
+        var dir = anticlockwise ? -1 : 1;
+        for (var i = 1; i <= steps; i++) {
+            var a = start + dir * sweep * i / steps;
+            this.lineTo(x + r * Math.cos(a), y + r * Math.sin(a));
+        }
+    };
+
+    // ============================================================================
+    // Painting
+    // ============================================================================
+
+    PlotterContext.prototype.fill = function() {
+        this._record();
+    };
+
+    PlotterContext.prototype.stroke = function() {
+        this._record();
+    };
+
+    PlotterContext.prototype.fillRect = function() {};
+
+    PlotterContext.prototype.fillText = function() {};
+
+    // _record keeps the current path's subpaths, clipped to the canvas
+    PlotterContext.prototype._record = function() {
+        if (this.globalAlpha <= 0) {
+            return;
+        }
+        var self = this;
+        this._path.forEach(function(subpath) {
+            if (subpath.length > 1) {
+                clip(subpath, self.width, self.height).forEach(function(piece) {
+                    self.paths.push(piece);
+                });
+            }
+        });
+    };
+
+    // clip cuts a polyline to the box [0, width] x [0, height], returning the
+    // runs inside it (Liang-Barsky on each segment)
+    function clip(points, width, height) {
+        var pieces = [];
+        var piece = null;
+        for (var i = 1; i < points.length; i++) {
+            var a = points[i - 1];
+            var b = points[i];
+            var dx = b.x - a.x;
+            var dy = b.y - a.y;
+            var t0 = 0;
+            var t1 = 1;
+            var edges = [[-dx, a.x], [dx, width - a.x], [-dy, a.y], [dy, height - a.y]];
+            var inside = true;
+            for (var j = 0; j < 4 && inside; j++) {
+                var p = edges[j][0];
+                var q = edges[j][1];
+                if (p === 0) {
+                    inside = q >= 0;
+                } else if (p < 0) {
+                    t0 = Math.max(t0, q / p);
+                } else {
+                    t1 = Math.min(t1, q / p);
+                }
+            }
+            if (!inside || t0 > t1) {
+                piece = null;
+                continue;
+            }
+
+            var from = t0 > 0 ? {x: a.x + t0 * dx, y: a.y + t0 * dy} : a;
+            var to = t1 < 1 ? {x: a.x + t1 * dx, y: a.y + t1 * dy} : b;
+            if (!piece || t0 > 0) {
+                piece = [from];
+                pieces.push(piece);
+            }
+            piece.push(to);
+            if (t1 < 1) {
+                piece = null;
+            }
+        }
+        return pieces;
+    }
+
+    function distance(a, b) {
+        return Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+    }
+
+    window.PlotterContext = PlotterContext;
+})();
@@ -0,0 +1,190 @@
+// Recorder: steps the animation at a fixed frame rate, renders every frame
+// offscreen from the default camera and encodes a GIF or a WebM video.
+// Frames sample [0, loop) so the last frame runs straight into the first.
+var Recording = null;
+
+// GIF delays are in hundredths of a second, and viewers slow down anything
+// faster than 2, so GIFs are capped at 50 fps
+var MaxGIFRate = 50;
+
+// RecordingFrames lists the animation times for one loop at a frame rate
+function RecordingFrames(loop, fps) {
+    var count = Math.max(1, Math.round(loop * fps));
+    var frames = [];
+    for (var i = 0; i < count; i++) {
+        frames.push(i * loop / count);
+    }
+    return frames;
+}
+
+// DefaultLoopLength is the active design's cycle length in seconds, if it has one
+function DefaultLoopLength() {
+    return ActiveDesign && ActiveDesign.LoopLength ? ActiveDesign.LoopLength() : 4;
+}
+
+// RecordAnimation encodes one loop of the active design. options: format
+// ("gif" | "webm"), fps, loop (seconds), width (pixels). onProgress gets
+// the fraction done; onDone gets the file as a Blob.
+function RecordAnimation(options, onProgress, onDone) {
+    if (!ActiveDesign || Recording) {
+        return;
+    }
+
+    var fps = options.format === "gif" ? Math.min(MaxGIFRate, options.fps) : options.fps;
+    var width = Math.round(options.width);
+    var height = Math.round(width * CanvasHeight / CanvasWidth);
+    var frames = RecordingFrames(options.loop, fps);
+
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    var ctx = canvas.getContext("2d");
+
+    Recording = {cancelled: false};
+    var recording = Recording;
+    var encoder = options.format === "gif" ? gifRecorder(canvas, ctx, fps) : webmRecorder(canvas, fps);
+
+    // Render one frame per tick so the page stays responsive
+    var index = 0;
+    function next() {
+        if (recording.cancelled) {
+            encoder.cancel();
+            return;
+        }
+        if (index === frames.length) {
+            encoder.finish(function(blob) {
+                // Cancelled while the encoder was finishing
+                if (recording.cancelled) {
+                    return;
+                }
+                Recording = null;
+                onDone(blob);
+            });
+            return;
+        }
+
+        RenderInto(ctx, width, height, frames[index]);
+        index++;
+        onProgress(index / frames.length);
+        encoder.frame(next);
+    }
+    encoder.start();
+    next();
+}
+
+// CancelRecording stops the recording at its next frame, or drops the file
+// if it is being finished. A new one can start straight away.
+function CancelRecording() {
+    if (Recording) {
+        Recording.cancelled = true;
+        Recording = null;
+    }
+}
+
+// gifRecorder adds each rendered frame to a GIFEncoder
+function gifRecorder(canvas, ctx, fps) {
+    var gif = new GIFEncoder(canvas.width, canvas.height);
+    return {
+        start: function() {},
+        frame: function(done) {
+            gif.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, 100 / fps);
+            setTimeout(done, 0);
+        },
+        finish: function(done) {
+            done(new Blob([gif.finish()], {type: "image/gif"}));
+        },
+        cancel: function() {},
+    };
+}
+
+// webmRecorder feeds frames to MediaRecorder. The recorder timestamps in
+// real time, so frames are held on screen for 1/fps seconds each.
+function webmRecorder(canvas, fps) {
+    var stream = canvas.captureStream(0);
+    var track = stream.getVideoTracks()[0];
+    var chunks = [];
+    var type = MediaRecorder.isTypeSupported("video/webm;codecs=vp9") ? "video/webm;codecs=vp9" : "video/webm";
+    var recorder = new MediaRecorder(stream, {mimeType: type});
+    recorder.ondataavailable = function(e) {
+        if (e.data.size) {
+            chunks.push(e.data);
+        }
+    };
+
+    return {
+        start: function() {
+            recorder.start();
+        },
+        frame: function(done) {
+            track.requestFrame();
+            setTimeout(done, 1000 / fps);
+        },
+        finish: function(done) {
+            recorder.onstop = function() {
+                done(new Blob(chunks, {type: "video/webm"}));
+            };
+            recorder.stop();
+        },
+        cancel: function() {
+            recorder.onstop = null;
+            recorder.stop();
+        },
+    };
+}
+
+$( document ).ready(function() {
+    var $format = $('#record-format');
+    var $fps = $('#record-fps');
+    var $loop = $('#record-loop');
+    var $width = $('#record-width');
+    var $button = $('#record-start');
+    var $progress = $('#record-progress');
+
+    if (typeof MediaRecorder === "undefined") {
+        $format.find('option[value="webm"]').remove();
+    }
+
+    // GIFs top out at MaxGIFRate, so the fps input does too while GIF is
+    // picked, rather than recording slower than it says
+    var maxFps = Number($fps.attr('max'));
+    function limitFps() {
+        var max = $format.val() === "gif" ? Math.min(maxFps, MaxGIFRate) : maxFps;
+        $fps.attr('max', max);
+        if (Number($fps.val()) > max) {
+            $fps.val(max);
+        }
+    }
+    $format.on('change', limitFps);
+    $fps.on('change', limitFps);
+    limitFps();
+
+    // Default the loop to the design's own cycle whenever it changes
+    $('#design-select').on('change', function() {
+        $loop.val(DefaultLoopLength().toFixed(2));
+    });
+    $loop.val(DefaultLoopLength().toFixed(2));
+
+    $button.on('click', function() {
+        if (Recording) {
+            CancelRecording();
+            $button.text("Record");
+            $progress.text("");
+            return;
+        }
+
+        var format = $format.val();
+        $button.text("Cancel");
+        RecordAnimation({
+            format: format,
+            fps: Number($fps.val()) || 30,
+            loop: Number($loop.val()) || DefaultLoopLength(),
+            width: Number($width.val()) || 600,
+        }, function(fraction) {
+            $progress.text(Math.round(fraction * 100) + "%");
+        }, function(blob) {
+            $button.text("Record");
+            $progress.text("");
+            DownloadURL(URL.createObjectURL(blob), ExportFileName(format));
+        });
+    });
+});
@@ -0,0 +1,92 @@
+// SpatialGrid is a uniform grid index of items by world bounding box, used
+// to draw only what is inside the camera view:
+//
+//     var grid = new SpatialGrid(50);
+//     grid.insert(shape, {xMin: 0, yMin: 0, xMax: 10, yMax: 10});
+//     grid.query(ViewBounds()).forEach(draw);
+//
+// query() returns items in insertion order, so draw order survives culling.
+(function() {
+    function SpatialGrid(cellSize) {
+        this.cellSize = cellSize;
+        this._cells = new Map();
+        this._entries = [];
+    }
+
+    SpatialGrid.prototype.clear = function() {
+        this._cells.clear();
+        this._entries = [];
+    };
+
+    SpatialGrid.prototype.insert = function(item, box) {
+        var entry = {item: item, box: box, order: this._entries.length};
+        this._entries.push(entry);
+        this._eachCell(box, function(key, cells) {
+            var cell = cells.get(key);
+            if (!cell) {
+                cells.set(key, cell = []);
+            }
+            cell.push(entry);
+        }, false);
+    };
+
+    // query returns the items whose boxes intersect box, in insertion order
+    SpatialGrid.prototype.query = function(box) {
+        var seen = new Set();
+        var found = [];
+        this._eachCell(box, function(key, cells) {
+            var cell = cells.get(key);
+            if (!cell) {
+                return;
+            }
+            for (var i = 0; i < cell.length; i++) {
+                var entry = cell[i];
+                if (!seen.has(entry) && intersects(entry.box, box)) {
+                    seen.add(entry);
+                    found.push(entry);
+                }
+            }
+        }, true);
+        found.sort(function(a, b) { return a.order - b.order; });
+        return found.map(function(entry) { return entry.item; });
+    };
+
+    SpatialGrid.prototype.size = function() {
+        return this._entries.length;
+    };
+
+    // _eachCell visits the keys of the cells a box overlaps. When only
+    // populated cells matter and the box covers more cells than exist, the
+    // existing cells are scanned instead.
+    SpatialGrid.prototype._eachCell = function(box, fn, populatedOnly) {
+        var size = this.cellSize;
+        var x0 = Math.floor(box.xMin / size);
+        var x1 = Math.floor(box.xMax / size);
+        var y0 = Math.floor(box.yMin / size);
+        var y1 = Math.floor(box.yMax / size);
+
+        if (populatedOnly && (x1 - x0 + 1) * (y1 - y0 + 1) > this._cells.size * 4) {
+            var cells = this._cells;
+            cells.forEach(function(cell, key) {
+                var x = Number(key.slice(0, key.indexOf(",")));
+                var y = Number(key.slice(key.indexOf(",") + 1));
+                if (x >= x0 && x <= x1 && y >= y0 && y <= y1) {
+                    fn(key, cells);
+                }
+            });
+            return;
+        }
+
+        for (var x = x0; x <= x1; x++) {
+            for (var y = y0; y <= y1; y++) {
+                fn(x + "," + y, this._cells);
+            }
+        }
+    };
+
+    function intersects(a, b) {
+        return a.xMin <= b.xMax && a.xMax >= b.xMin && a.yMin <= b.yMax && a.yMax >= b.yMin;
+    }
+
+    window.SpatialGrid = SpatialGrid;
+})();
@@ -0,0 +1,386 @@
+// SVGContext records the subset of the Canvas 2D API the designs use and
+// serializes it to an SVG document. It can stand in for BackContextHandle:
+//
+//     var svg = new SVGContext(CanvasWidth, CanvasHeight);
+//     RenderInto(svg, CanvasWidth, CanvasHeight);
+//     svg.toSVG();
+//
+// Points are transformed when they are added to the path, like a canvas.
+// Radii, line widths and font sizes are scaled by the transform's average
+// scale, so skewed or non-uniform transforms draw circles, not ellipses.
+(function() {
+    function SVGContext(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas = {width: width, height: height};
+
+        this.fillStyle = "#000000";
+        this.strokeStyle = "#000000";
+        this.lineWidth = 1;
+        this.lineCap = "butt";
+        this.lineJoin = "miter";
+        this.globalAlpha = 1;
+        this.font = "10px sans-serif";
+        this.textAlign = "start";
+        this.textBaseline = "alphabetic";
+
+        this._matrix = [1, 0, 0, 1, 0, 0];
+        this._stack = [];
+        this._path = [];
+        this._current = null;
+        this._elements = [];
+        this._defs = [];
+    }
+
+    // Drawing state saved by save() and restored by restore()
+    SVGContext.stateKeys = [
+        "fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin",
+        "globalAlpha", "font", "textAlign", "textBaseline",
+    ];
+
+    SVGContext.prototype.save = function() {
+        var state = {matrix: this._matrix.slice()};
+        var self = this;
+        SVGContext.stateKeys.forEach(function(key) {
+            state[key] = self[key];
+        });
+        this._stack.push(state);
+    };
+
+    SVGContext.prototype.restore = function() {
+        var state = this._stack.pop();
+        if (!state) {
+            return;
+        }
+        var self = this;
+        SVGContext.stateKeys.forEach(function(key) {
+            self[key] = state[key];
+        });
+        this._matrix = state.matrix;
+    };
+
+    // ============================================================================
+    // Transforms
+    // ============================================================================
+
+    SVGContext.prototype.transform = function(a, b, c, d, e, f) {
+        var m = this._matrix;
+        this._matrix = [
+            m[0] * a + m[2] * b,
+            m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d,
+            m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4],
+            m[1] * e + m[3] * f + m[5],
+        ];
+    };
+
+    SVGContext.prototype.setTransform = function(a, b, c, d, e, f) {
+        this._matrix = [a, b, c, d, e, f];
+    };
+
+    SVGContext.prototype.resetTransform = function() {
+        this._matrix = [1, 0, 0, 1, 0, 0];
+    };
+
+    SVGContext.prototype.translate = function(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    };
+
+    SVGContext.prototype.scale = function(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    };
+
+    SVGContext.prototype.rotate = function(angle) {
+        var cos = Math.cos(angle);
+        var sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    };
+
+    SVGContext.prototype._point = function(x, y) {
+        var m = this._matrix;
+        return {
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5],
+        };
+    };
+
+    // Average scale of the current transform, used for radii and widths
+    SVGContext.prototype._scale = function() {
+        var m = this._matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    };
+
+    // ============================================================================
+    // Paths
+    // ============================================================================
+
+    SVGContext.prototype.beginPath = function() {
+        this._path = [];
+        this._current = null;
+    };
+
+    SVGContext.prototype.moveTo = function(x, y) {
+        var p = this._point(x, y);
+        this._path.push("M" + num(p.x) + " " + num(p.y));
+        this._current = p;
+    };
+
+    SVGContext.prototype.lineTo = function(x, y) {
+        if (!this._current) {
+            this.moveTo(x, y);
+            return;
+        }
+        var p = this._point(x, y);
+        this._path.push("L" + num(p.x) + " " + num(p.y));
+        this._current = p;
+    };
+
+    SVGContext.prototype.bezierCurveTo = function(c1x, c1y, c2x, c2y, x, y) {
+        if (!this._current) {
+            this.moveTo(c1x, c1y);
+        }
+        var c1 = this._point(c1x, c1y);
+        var c2 = this._point(c2x, c2y);
+        var p = this._point(x, y);
+        this._path.push("C" + num(c1.x) + " " + num(c1.y) + " " + num(c2.x) + " " + num(c2.y) + " " + num(p.x) + " " + num(p.y));
+        this._current = p;
+    };
+
+    SVGContext.prototype.closePath = function() {
+        if (this._path.length) {
+            this._path.push("Z");
+        }
+    };
+
+    SVGContext.prototype.rect = function(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    };
+
+    SVGContext.prototype.arc = function(x, y, r, start, end, anticlockwise) {
+        var pi2 = 2 * Math.PI;
+        var sweep = anticlockwise ? start - end : end - start;
+        if (sweep < pi2) {
+            // Canvas wraps partial sweeps into [0, 2π)
+            sweep = ((sweep % pi2) + pi2) % pi2;
+        } else {
+            sweep = pi2;
+        }
+
+        var first = {x: x + r * Math.cos(start), y: y + r * Math.sin(start)};
+        if (this._current) {
+            this.lineTo(first.x, first.y);
+        } else {
+            this.moveTo(first.x, first.y);
+        }
+        if (sweep === 0 || r <= 0) {
+            return;
+        }
+
+        var rs = num(r * this._scale());
+        var m = this._matrix;
+        var flip = m[0] * m[3] - m[1] * m[2] < 0;
+        var sweepFlag = (anticlockwise ? 0 : 1) ^ (flip ? 1 : 0);
+        var dir = anticlockwise ? -1 : 1;
+
+        // SVG arcs cannot close on themselves, so full circles are two halves
+        var steps = sweep === pi2 ? 2 : 1;
+        for (var i = 1; i <= steps; i++) {
+            var a = start + dir * sweep * i / steps;
+            var large = sweep / steps > Math.PI ? 1 : 0;
+            var p = this._point(x + r * Math.cos(a), y + r * Math.sin(a));
+            this._path.push("A" + rs + " " + rs + " 0 " + large + " " + sweepFlag + " " + num(p.x) + " " + num(p.y));
+            this._current = p;
+        }
+    };
+
+    // ============================================================================
+    // Painting
+    // ============================================================================
+
+    SVGContext.prototype.fill = function() {
+        if (this._path.length) {
+            this._elements.push('<path d="' + this._path.join("") + '"' + this._paint("fill", this.fillStyle) + ' stroke="none"/>');
+        }
+    };
+
+    SVGContext.prototype.stroke = function() {
+        if (this._path.length) {
+            this._elements.push('<path d="' + this._path.join("") + '" fill="none"' + this._strokeAttrs() + '/>');
+        }
+    };
+
+    SVGContext.prototype.fillRect = function(x, y, w, h) {
+        var path = this._path;
+        var current = this._current;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.fill();
+        this._path = path;
+        this._current = current;
+    };
+
+    SVGContext.prototype.strokeRect = function(x, y, w, h) {
+        var path = this._path;
+        var current = this._current;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.stroke();
+        this._path = path;
+        this._current = current;
+    };
+
+    // Nothing is drawn underneath the first element, so clearing is a no-op
+    SVGContext.prototype.clearRect = function() {};
+
+    SVGContext.prototype.fillText = function(text, x, y) {
+        var p = this._point(x, y);
+        var font = parseFont(this.font);
+        var anchor = {start: "start", left: "start", center: "middle", end: "end", right: "end"}[this.textAlign] || "start";
+        var baseline = {top: "hanging", hanging: "hanging", middle: "central", bottom: "text-after-edge"}[this.textBaseline] || "alphabetic";
+        this._elements.push('<text x="' + num(p.x) + '" y="' + num(p.y) + '"' +
+            ' font-family="' + escapeXML(font.family) + '" font-size="' + num(font.size * this._scale()) + '"' +
+            (font.weight ? ' font-weight="' + font.weight + '"' : "") +
+            ' text-anchor="' + anchor + '" dominant-baseline="' + baseline + '"' +
+            this._paint("fill", this.fillStyle) + '>' + escapeXML(text) + '</text>');
+    };
+
+    // Rough width estimate; there is no font engine to measure with
+    SVGContext.prototype.measureText = function(text) {
+        return {width: String(text).length * parseFont(this.font).size * 0.55};
+    };
+
+    SVGContext.prototype.createLinearGradient = function(x0, y0, x1, y1) {
+        return new SVGGradient("linear", [x0, y0, x1, y1]);
+    };
+
+    SVGContext.prototype.createRadialGradient = function(x0, y0, r0, x1, y1, r1) {
+        return new SVGGradient("radial", [x0, y0, r0, x1, y1, r1]);
+    };
+
+    // Pixel access has no meaning for a vector recording
+    SVGContext.prototype.getImageData = function() {
+        return null;
+    };
+    SVGContext.prototype.putImageData = function() {};
+
+    SVGContext.prototype._strokeAttrs = function() {
+        return this._paint("stroke", this.strokeStyle) +
+            ' stroke-width="' + num(this.lineWidth * this._scale()) + '"' +
+            ' stroke-linecap="' + this.lineCap + '" stroke-linejoin="' + this.lineJoin + '"';
+    };
+
+    // _paint returns the attributes for a fill or stroke style, adding gradients to defs
+    SVGContext.prototype._paint = function(attr, style) {
+        var alpha = this.globalAlpha;
+        var value;
+
+        if (style instanceof SVGGradient) {
+            var id = "g" + this._defs.length;
+            this._defs.push(style.toSVG(id, this));
+            value = "url(#" + id + ")";
+        } else {
+            var color = parseColor(style);
+            value = color.color;
+            alpha *= color.alpha;
+        }
+
+        var out = " " + attr + '="' + value + '"';
+        if (alpha < 1) {
+            out += " " + attr + '-opacity="' + num(alpha) + '"';
+        }
+        return out;
+    };
+
+    // toSVG returns the document. Optional physical width/height (e.g. "420mm")
+    // set the printed size; the viewBox stays in canvas pixels.
+    SVGContext.prototype.toSVG = function(physicalWidth, physicalHeight) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<svg xmlns="http://www.w3.org/2000/svg" version="1.1"' +
+            ' width="' + (physicalWidth || this.width) + '" height="' + (physicalHeight || this.height) + '"' +
+            ' viewBox="0 0 ' + num(this.width) + ' ' + num(this.height) + '">\n' +
+            (this._defs.length ? "<defs>\n" + this._defs.join("\n") + "\n</defs>\n" : "") +
+            this._elements.join("\n") + "\n</svg>\n";
+    };
+
+    // SVGGradient mirrors CanvasGradient; coordinates are mapped through the
+    // context transform when the gradient is painted
+    function SVGGradient(type, coords) {
+        this.type = type;
+        this.coords = coords;
+        this.stops = [];
+    }
+
+    SVGGradient.prototype.addColorStop = function(offset, color) {
+        this.stops.push({offset: offset, color: parseColor(color)});
+    };
+
+    SVGGradient.prototype.toSVG = function(id, ctx) {
+        var c = this.coords;
+        var attrs;
+        if (this.type === "linear") {
+            var p0 = ctx._point(c[0], c[1]);
+            var p1 = ctx._point(c[2], c[3]);
+            attrs = ' x1="' + num(p0.x) + '" y1="' + num(p0.y) + '" x2="' + num(p1.x) + '" y2="' + num(p1.y) + '"';
+        } else {
+            // SVG focal circles have no radius of their own, so the inner radius
+            // becomes an extra stop offset
+            var f = ctx._point(c[0], c[1]);
+            var center = ctx._point(c[3], c[4]);
+            var s = ctx._scale();
+            attrs = ' fx="' + num(f.x) + '" fy="' + num(f.y) + '" cx="' + num(center.x) + '" cy="' + num(center.y) + '" r="' + num(c[5] * s) + '"';
+        }
+
+        var inner = this.type === "radial" && this.coords[5] ? this.coords[2] / this.coords[5] : 0;
+        var stops = this.stops.map(function(stop) {
+            var offset = inner + (1 - inner) * stop.offset;
+            return '<stop offset="' + num(offset) + '" stop-color="' + stop.color.color + '"' +
+                (stop.color.alpha < 1 ? ' stop-opacity="' + num(stop.color.alpha) + '"' : "") + '/>';
+        });
+
+        var tag = this.type === "linear" ? "linearGradient" : "radialGradient";
+        return "<" + tag + ' id="' + id + '" gradientUnits="userSpaceOnUse"' + attrs + ">" + stops.join("") + "</" + tag + ">";
+    };
+
+    // parseColor splits rgba()/hsla() into an opaque color and an alpha, which
+    // older SVG consumers (plotter software, print RIPs) need
+    function parseColor(style) {
+        var str = String(style).trim();
+        var match = str.match(/^(rgb|hsl)a\(\s*([^,]+),([^,]+),([^,]+),\s*([^)]+)\)$/i);
+        if (match) {
+            return {
+                color: match[1] + "(" + match[2].trim() + "," + match[3].trim() + "," + match[4].trim() + ")",
+                alpha: Number(match[5]),
+            };
+        }
+        return {color: str, alpha: 1};
+    }
+
+    // parseFont reads size, family and weight from a CSS font shorthand
+    function parseFont(font) {
+        var match = String(font).match(/(?:(bold|bolder|lighter|\d00)\s+)?(?:\S+\s+)*?([\d.]+)px\s+(.+)$/);
+        if (!match) {
+            return {size: 10, family: "sans-serif", weight: null};
+        }
+        return {size: Number(match[2]), family: match[3], weight: match[1] || null};
+    }
+
+    function escapeXML(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    // num rounds coordinates to keep files small
+    function num(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    window.SVGContext = SVGContext;
+})();